@@ -3,1651 +3,6617 @@
  * A beautiful PDF viewer with realistic page flip effects
  */
 
-// Configure PDF.js worker
-pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
-
-// App State
-const state = {
-    pdfDoc: null,
-    pageFlip: null,
-    currentPage: 1,
-    totalPages: 0,
-    isDoublePageMode: true,
-    isMobile: false,
-    zoom: 1,
-    minZoom: 0.5,
-    maxZoom: 3,
-    pageCache: new Map(),
-    searchResults: [],
-    currentSearchIndex: -1,
-    currentSearchQuery: '',
-    pageTexts: new Map(),
-    isFullscreen: false,
-    basePageWidth: 400,
-    basePageHeight: 560,
-    panX: 0,
-    panY: 0,
-};
+// Directory app.js is served from - workers, vendored libraries and the viewer
+// markup resolve against it, so pages elsewhere on the site can embed viewers
+const APP_BASE_URL = new URL('.', document.currentScript.src).href;
+
+// Configure PDF.js worker (vendored so it can be precached for offline use)
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('vendor/pdfjs/pdf.worker.min.js', APP_BASE_URL).href;
 
 // Mobile breakpoint
 const MOBILE_BREAKPOINT = 768;
 
-// DOM Elements
-const elements = {
-    uploadScreen: document.getElementById('upload-screen'),
-    viewerContainer: document.getElementById('viewer-container'),
-    pdfUpload: document.getElementById('pdf-upload'),
-    pdfUploadToolbar: document.getElementById('pdf-upload-toolbar'),
-    flipbook: document.getElementById('flipbook'),
-    creaseOverlay: document.getElementById('crease-overlay'),
-    loadingOverlay: document.getElementById('loading-overlay'),
-    loadingText: document.getElementById('loading-text'),
-
-    // Toolbar
-    btnPrev: document.getElementById('btn-prev-float'),
-    btnNext: document.getElementById('btn-next-float'),
-    pageInput: document.getElementById('page-input'),
-    totalPages: document.getElementById('total-pages'),
-    searchInput: document.getElementById('search-input'),
-    btnSearchPrev: document.getElementById('btn-search-prev'),
-    btnSearchNext: document.getElementById('btn-search-next'),
-    searchResults: document.getElementById('search-results'),
-    btnViewMode: document.getElementById('btn-view-mode'),
-    iconSingle: document.getElementById('icon-single'),
-    iconDouble: document.getElementById('icon-double'),
-    btnZoomIn: document.getElementById('btn-zoom-in'),
-    btnZoomOut: document.getElementById('btn-zoom-out'),
-    btnShare: document.getElementById('btn-share'),
-    btnFullscreen: document.getElementById('btn-fullscreen'),
-
-    // Toast
-    toast: document.getElementById('toast'),
-    toastMessage: document.getElementById('toast-message'),
-};
-
-// ============================================
-// Initialization
-// ============================================
-
-function init() {
-    setupEventListeners();
-    checkUrlForPdf();
-    checkMobileMode();
-    // Auto-load the PDF from book folder
-    loadPdfFromUrl('book/book.pdf');
-
-    // Setup Zoom and Pan Controls (Global)
-    setupZoomPanControls();
-    setupMobileControls(); // Init mobile UI
-}
-
-function checkMobileMode() {
-    const wasMobile = state.isMobile;
-    state.isMobile = window.innerWidth <= MOBILE_BREAKPOINT;
-
-    // Force single-page mode on mobile
-    if (state.isMobile && state.isDoublePageMode) {
-        state.isDoublePageMode = false;
-        // Update icons
-        if (elements.iconSingle && elements.iconDouble) {
-            elements.iconSingle.classList.remove('hidden');
-            elements.iconDouble.classList.add('hidden');
-        }
-        // Update flipbook class for styling
-        if (elements.flipbook) {
-            elements.flipbook.classList.add('single-mode');
-        }
-    }
+// Windowed rendering: spreads kept rendered around the current one
+const RENDER_SPREADS_AHEAD = 3;
+const RENDER_SPREADS_BEHIND = 2;
 
-    // Set slightly zoomed out default for mobile
-    if (state.isMobile && state.zoom === 1) {
-        state.zoom = 0.9;
-    }
+// Canvas memory allowed for rendered pages before distant ones are dropped
+const PAGE_MEMORY_BUDGET_DESKTOP = 256 * 1024 * 1024;
+const PAGE_MEMORY_BUDGET_MOBILE = 64 * 1024 * 1024;
 
-    return wasMobile !== state.isMobile;
-}
+// Pages at least this much wider (for their height) than the usual page fill a whole spread
+const FOLD_OUT_MIN_RATIO = 1.6;
 
-async function loadPdfFromUrl(url) {
-    showLoading('PDF 로딩 중...');
+// Pages measured per step when the remaining page sizes are read in the background
+const PAGE_SIZE_BATCH = 10;
 
-    try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error('Failed to load PDF');
+// Chunk size for HTTP range requests when streaming remote PDFs
+const PDF_RANGE_CHUNK_SIZE = 256 * 1024;
 
-        const arrayBuffer = await response.arrayBuffer();
-        state.pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-        state.totalPages = state.pdfDoc.numPages;
+// PDF.js errors about the file itself - only network and range failures retry as a full download
+const PDF_LOAD_FINAL_ERRORS = ['MissingPDFException', 'InvalidPDFException', 'PasswordException'];
 
-        // Update UI
-        elements.totalPages.textContent = state.totalPages;
-        elements.pageInput.max = state.totalPages;
+// Document shown when no ?file= parameter is given
+const DEFAULT_PDF_URL = 'book/book.pdf';
 
-        // Extract text for search
-        showLoading('페이지 준비 중...');
-        await extractAllPageTexts();
+// Bookshelf manifest
+const LIBRARY_MANIFEST_URL = 'library/manifest.json';
+const LIBRARY_COVER_WIDTH = 180;
+const LIBRARY_COVER_HEIGHT = 252;
 
-        // Show viewer BEFORE initializing flipbook so it can measure dimensions
-        elements.uploadScreen.classList.add('hidden');
-        elements.viewerContainer.classList.remove('hidden');
+// Per-document reading progress, keyed by PDF fingerprint
+const READING_HISTORY_KEY = 'yalebook-reading-history';
+const READING_HISTORY_LIMIT = 50;
 
-        // Wait for the DOM to update and have proper dimensions
-        await new Promise(resolve => {
-            requestAnimationFrame(() => {
-                setTimeout(resolve, 100);
-            });
-        });
+// Cache Storage bucket for opened PDFs (shared with sw.js, keep in sync with PDF_CACHE)
+const PDF_CACHE_NAME = 'yalebook-pdfs';
 
-        // Initialize flipbook
-        await initFlipbook();
+// Origins that ?file= may point at (relative URLs resolve to this site)
+const ALLOWED_PDF_ORIGINS = [
+    window.location.origin,
+    'https://eisenjimmy.github.io',
+];
 
-        // Pre-render all pages to ensure smooth flipping
-        showLoading('페이지 렌더링 중...');
-        await preRenderAllPages();
+// Search matching options (toggles next to the search box), remembered across visits
+const SEARCH_OPTIONS_KEY = 'yalebook-search-options';
+const DEFAULT_SEARCH_OPTIONS = {
+    normalize: true,     // NFKC + ignore diacritics
+    ignoreSpaces: true,  // "대한 민국" finds "대한민국" and vice versa
+    choseong: false,     // "ㄷㅎㅁㄱ" finds "대한민국"
+    fuzzy: false,        // tolerate typos
+};
 
-        // Update crease visibility
-        updateCreaseVisibility();
-        updateFlipGuides();
+// Search results panel: characters of context on each side of a match, and how many matches to list
+const SEARCH_SNIPPET_CONTEXT = 40;
+const SEARCH_PANEL_MAX_RESULTS = 500;
+
+// Bookmarks are stored per document under this prefix + PDF fingerprint
+const BOOKMARKS_KEY_PREFIX = 'yalebook-bookmarks:';
+// Reading direction chosen for a document ('ltr' | 'rtl'), keyed by fingerprint
+const DIRECTION_KEY_PREFIX = 'yalebook-direction:';
+// Spread layout options the reader set for a document, keyed by fingerprint; the rest are detected
+const PAGINATION_KEY_PREFIX = 'yalebook-pagination:';
+// Spread layout options and their deep-link parameters
+const PAGINATION_PARAMS = { cover: 'cover', blankAfterCover: 'blank', backCover: 'back' };
+
+// Annotations are stored per document under this prefix + PDF fingerprint
+const ANNOTATIONS_KEY_PREFIX = 'yalebook-annotations:';
+const ANNOTATIONS_EXPORT_VERSION = 1;
+// Pen stroke width as a fraction of the page width
+const INK_WIDTH = 0.004;
+
+// pdf-lib writes annotations into the PDF; loaded on first export only
+const PDF_LIB_SRC = new URL('vendor/pdf-lib/pdf-lib.min.js', APP_BASE_URL).href;
+
+// Read-aloud language, voice and speed, remembered across visits
+const READ_ALOUD_SETTINGS_KEY = 'yalebook-read-aloud';
+const DEFAULT_READ_ALOUD_SETTINGS = {
+    lang: 'ko-KR',  // 'ko-KR' | 'en-US'
+    voice: '',      // voiceURI; empty uses the browser's default voice for the language
+    rate: 1,
+};
+// Longer sentences are spoken in pieces (some engines cut off long utterances)
+const READ_ALOUD_MAX_CHUNK = 200;
+
+// Reading view and reduced motion, remembered across visits
+const ACCESSIBILITY_SETTINGS_KEY = 'yalebook-accessibility';
+const DEFAULT_ACCESSIBILITY_SETTINGS = {
+    readingView: false,
+    reducedMotion: null, // true | false; null follows the system's prefers-reduced-motion
+};
+// Presentation mode, remembered across visits
+const PRESENTATION_SETTINGS_KEY = 'yalebook-presentation';
+const DEFAULT_PRESENTATION_SETTINGS = {
+    interval: 10,  // seconds per page
+    loop: true,    // start over after the last page instead of stopping
+    kioskIdle: 0,  // seconds without interaction before returning to the cover; 0 turns kiosk mode off
+};
+// How often the presenter countdown is refreshed while playing (ms)
+const PRESENTATION_TICK = 250;
+
+// Reading analytics. Events are batched and posted to ANALYTICS_ENDPOINT with navigator.sendBeacon
+// as { events: [...] }. For development, ANALYTICS_SINK 'console' logs each batch and
+// 'localStorage' appends it to ANALYTICS_LOG_KEY instead. With no endpoint and the beacon sink
+// nothing is tracked. Embedded viewers can pass { analytics: { endpoint, sink } } to YaleBook.create().
+const ANALYTICS_ENDPOINT = null;
+const ANALYTICS_SINK = 'beacon'; // 'beacon' | 'console' | 'localStorage'
+const ANALYTICS_BATCH_SIZE = 20;
+const ANALYTICS_FLUSH_INTERVAL = 15000;
+// Events kept while the endpoint can't be reached, and in the development log
+const ANALYTICS_QUEUE_LIMIT = 500;
+const ANALYTICS_LOG_KEY = 'yalebook-analytics-log';
+// Spreads shown for less than this were flipped past, not read (ms)
+const ANALYTICS_MIN_DWELL = 1000;
+// The reader's choice to allow tracking ('granted' | 'denied'); without one, Do Not Track decides
+const ANALYTICS_CONSENT_KEY = 'yalebook-analytics-consent';
+
+// Lines set this much larger than the body text become headings in the reading view
+const READING_VIEW_HEADING_RATIO = 1.25;
+// Controls that take focus when a panel opens
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), a[href], input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Pages allowed to drive an embedded viewer over postMessage (add the CMS origin here)
+const EMBED_HOST_ORIGINS = [
+    window.location.origin,
+    'https://eisenjimmy.github.io',
+];
+
+// Links to these hosts open without asking; anything else needs a confirmation
+const TRUSTED_LINK_HOSTS = [
+    window.location.hostname,
+    'eisenjimmy.github.io',
+];
 
-        hideLoading();
+// ============================================
+// Utility Functions
+// ============================================
 
-    } catch (error) {
-        console.error('Error loading PDF:', error);
-        hideLoading();
-        showToast('PDF 로딩 오류.');
-    }
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
 }
 
-function setupEventListeners() {
-    // File Upload
-    elements.pdfUpload.addEventListener('change', handleFileUpload);
-    // Toolbar File Upload
-    if (elements.pdfUploadToolbar) {
-        elements.pdfUploadToolbar.addEventListener('change', handleToolbarFileUpload);
+// Loads a classic script once (for libraries only some features need)
+const loadedScripts = new Map();
+function loadScript(src) {
+    if (!loadedScripts.has(src)) {
+        loadedScripts.set(src, new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => {
+                loadedScripts.delete(src);
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        }));
     }
-
-    // Drag and Drop
-    const uploadContainer = document.querySelector('.upload-container');
-    uploadContainer.addEventListener('dragover', handleDragOver);
-    uploadContainer.addEventListener('dragleave', handleDragLeave);
-    uploadContainer.addEventListener('drop', handleDrop);
-
-    // Navigation
-    elements.btnPrev.addEventListener('click', goToPrevPage);
-    elements.btnNext.addEventListener('click', goToNextPage);
-
-    elements.pageInput.addEventListener('change', handlePageInputChange);
-    elements.pageInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') handlePageInputChange();
-    });
-
-    // Search
-    elements.searchInput.addEventListener('input', debounce(handleSearch, 300));
-    elements.searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            if (e.shiftKey) {
-                goToPrevSearchResult();
-            } else {
-                goToNextSearchResult();
-            }
-        }
-    });
-    elements.btnSearchPrev.addEventListener('click', goToPrevSearchResult);
-    elements.btnSearchNext.addEventListener('click', goToNextSearchResult);
-
-    // View Mode
-    elements.btnViewMode.addEventListener('click', toggleViewMode);
-
-    // Zoom
-    elements.btnZoomIn.addEventListener('click', zoomIn);
-    elements.btnZoomOut.addEventListener('click', zoomOut);
-
-    // Share
-    elements.btnShare.addEventListener('click', shareLink);
-
-    // Fullscreen
-    elements.btnFullscreen.addEventListener('click', toggleFullscreen);
-    document.addEventListener('fullscreenchange', handleFullscreenChange);
-
-
-    // Keyboard Navigation
-    document.addEventListener('keydown', handleKeydown);
-
-    // Window Resize
-    window.addEventListener('resize', debounce(handleResize, 200));
-
-    // Prevent right-click from triggering page flip
-    elements.flipbook.addEventListener('contextmenu', (e) => {
-        e.preventDefault();
-    });
+    return loadedScripts.get(src);
 }
 
-function checkUrlForPdf() {
-    // Check if there's a page number in the URL hash
-    const hash = window.location.hash;
-    if (hash.startsWith('#page=')) {
-        state.currentPage = parseInt(hash.split('=')[1]) || 1;
-    }
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
 }
 
 // ============================================
-// File Handling
+// Viewer Instances
 // ============================================
 
-function handleFileUpload(e) {
-    const file = e.target.files[0];
-    if (file && file.type === 'application/pdf') {
-        loadPdf(file);
+// Every viewer on the page, and the one keyboard shortcuts go to (last clicked or focused)
+const viewers = new Set();
+let activeViewer = null;
+
+// The full-page viewer of index.html - the only one that owns the address bar,
+// the bookshelf and the bridge to an embedding frame
+let mainViewer = null;
+
+// speechSynthesis has one queue per page: stops whichever viewer is reading aloud
+let stopActiveReadAloud = null;
+
+// The viewer markup is <template id="yalebook-template"> in index.html; pages
+// without it (a catalog of previews, say) fetch it from there once
+let viewerTemplatePromise = null;
+
+function loadViewerTemplate() {
+    if (!viewerTemplatePromise) {
+        const inlineTemplate = document.getElementById('yalebook-template');
+        viewerTemplatePromise = inlineTemplate
+            ? Promise.resolve(inlineTemplate)
+            : fetch(new URL('index.html', APP_BASE_URL))
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.text();
+                })
+                .then(html => {
+                    const template = new DOMParser().parseFromString(html, 'text/html').getElementById('yalebook-template');
+                    if (!template) throw new Error('Viewer template not found');
+                    return template;
+                });
+        // Let a later mount try again
+        viewerTemplatePromise.catch(() => { viewerTemplatePromise = null; });
     }
+    return viewerTemplatePromise;
 }
 
-function handleToolbarFileUpload(e) {
-    const file = e.target.files[0];
-    if (file && file.type === 'application/pdf') {
-        // Reset state for new PDF
-        state.pageCache.clear();
-        state.pageTexts.clear();
-        state.searchResults = [];
-        state.currentSearchIndex = -1;
-        state.currentPage = 1;
-        state.zoom = 1;
-        state.panX = 0;
-        state.panY = 0;
-
-        // Clear search input
-        if (elements.searchInput) {
-            elements.searchInput.value = '';
-        }
-        if (elements.searchResults) {
-            elements.searchResults.textContent = '';
-        }
-
-        // Load the new PDF
-        loadPdf(file);
+// Fills a container with a fresh copy of the viewer markup and starts a viewer in it.
+// options: { src, page, zoom, mode, search } - the document to open and how to show it
+//          { main: true } - the full-page app (deep links, bookshelf, embed bridge)
+async function mountViewer(container, options = {}) {
+    const root = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!(root instanceof HTMLElement)) {
+        throw new Error('YaleBook.create() expects a container element or selector');
     }
-    // Reset input so same file can be selected again
-    e.target.value = '';
-}
-
-function handleDragOver(e) {
-    e.preventDefault();
-    e.currentTarget.classList.add('drag-over');
-}
-
-function handleDragLeave(e) {
-    e.currentTarget.classList.remove('drag-over');
-}
-
-function handleDrop(e) {
-    e.preventDefault();
-    e.currentTarget.classList.remove('drag-over');
-
-    const file = e.dataTransfer.files[0];
-    if (file && file.type === 'application/pdf') {
-        loadPdf(file);
+    if ([...viewers].some(viewer => viewer.root === root)) {
+        throw new Error('A viewer is already mounted on this container');
+    }
+    if (options.main && mainViewer) {
+        throw new Error('Only one main viewer per page');
     }
-}
 
-// ============================================
-// PDF Loading & Rendering
-// ============================================
+    const template = await loadViewerTemplate();
+    root.replaceChildren(document.importNode(template.content, true));
+    root.classList.add('yalebook-viewer');
+    // Embedded viewers keep their fixed-position chrome inside the container
+    root.classList.toggle('yalebook-embedded', !options.main);
 
-async function loadPdf(file) {
-    showLoading('Loading PDF...');
+    return createViewer(root, options);
+}
 
-    try {
-        const arrayBuffer = await file.arrayBuffer();
-        state.pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-        state.totalPages = state.pdfDoc.numPages;
+// One viewer, on a container already holding the viewer markup (see mountViewer).
+// State, elements, listeners and workers below all belong to this instance;
+// destroy() releases them.
+function createViewer(root, options = {}) {
+    // Elements are found by data-ref inside this viewer's markup, never by page-wide IDs
+    const ref = (name) => root.querySelector(`[data-ref="${name}"]`);
+
+    // Listeners on document/window are tied to this signal so destroy() can remove them
+    const lifetime = new AbortController();
+    const { signal } = lifetime;
+
+    // App State
+    const state = {
+        pdfDoc: null,
+        pageFlip: null,
+        currentPage: 1,
+        totalPages: 0,
+        isDoublePageMode: true,
+        isRtl: false, // right-bound book: spreads, flips and arrow keys run right to left
+        requestedDirection: null, // 'ltr' | 'rtl' from a deep link, applied when the document opens
+        pageSizes: [], // { width, height } per page at scale 1, rotation applied; null if unreadable
+        sheets: [], // flipbook sheets in flip order: { pageNum, half } - see buildSheets()
+        pagination: { cover: true, blankAfterCover: false, backCover: true }, // spread layout in effect
+        paginationOverrides: {}, // options set by the reader or a deep link - see resolvePagination()
+        requestedPagination: null, // overrides from a deep link, applied when the document opens
+        isPaginationOpen: false,
+        isMobile: false,
+        zoom: 1,
+        minZoom: 0.5,
+        maxZoom: 3,
+        pageCache: new Map(),
+        searchResults: [],
+        currentSearchIndex: -1,
+        currentSearchQuery: '',
+        pageTexts: new Map(),
+        searchIndex: new Map(), // character bigram -> Set of page numbers
+        isIndexing: false,
+        isFullscreen: false,
+        basePageWidth: 400,
+        basePageHeight: 560,
+        panX: 0,
+        panY: 0,
+        sourceUrl: null,
+        fingerprint: null,
+        pendingSearchQuery: '',
+        library: [],
+        outline: [],
+        isContentsOpen: false,
+        isThumbnailsOpen: false,
+        isSearchPanelOpen: false,
+        bookmarks: [], // { page, label, createdAt }, sorted by page
+        isBookmarksOpen: false,
+        annotations: [],
+        isAnnotating: false,
+        annotationTool: null, // 'highlight' | 'note' | 'pen' | 'eraser'
+        annotationColor: '#facc15',
+        searchOptions: null, // see readSearchOptions()
+        isReadAloudOpen: false,
+        isReadingAloud: false,
+        isReadAloudPaused: false,
+        readAloudPage: null,
+        readAloudSentence: null, // { pageNum, start, end, offsets } being spoken, marked in the text layer
+        readAloudSettings: null, // see readReadAloudSettings()
+        isAccessibilityOpen: false,
+        accessibilitySettings: null, // see readAccessibilitySettings()
+        isPresentationOpen: false,
+        isPresenting: false,
+        isPresentationPaused: false,
+        presentationSettings: null, // see readPresentationSettings()
+        analyticsConsent: false, // see readAnalyticsConsent()
+        thumbnailLayoutKey: '',
+    };
 
-        // Update UI
-        elements.totalPages.textContent = state.totalPages;
-        elements.pageInput.max = state.totalPages;
+    // DOM Elements
+    const elements = {
+        uploadScreen: ref('upload-screen'),
+        libraryScreen: ref('library-screen'),
+        libraryTitle: ref('library-title'),
+        libraryGrid: ref('library-grid'),
+        pdfUploadLibrary: ref('pdf-upload-library'),
+        btnLibrary: ref('btn-library'),
+        networkStatus: ref('network-status'),
+        viewerContainer: ref('viewer-container'),
+        pdfUpload: ref('pdf-upload'),
+        pdfUploadToolbar: ref('pdf-upload-toolbar'),
+        flipbook: ref('flipbook'),
+        creaseOverlay: ref('crease-overlay'),
+        loadingOverlay: ref('loading-overlay'),
+        loadingText: ref('loading-text'),
+
+        // Toolbar
+        btnPrev: ref('btn-prev-float'),
+        btnNext: ref('btn-next-float'),
+        pageInput: ref('page-input'),
+        totalPages: ref('total-pages'),
+        searchInput: ref('search-input'),
+        btnSearchPrev: ref('btn-search-prev'),
+        btnSearchNext: ref('btn-search-next'),
+        searchResults: ref('search-results'),
+        searchPanel: ref('search-panel'),
+        searchPanelCount: ref('search-panel-count'),
+        searchPanelList: ref('search-panel-list'),
+        btnSearchPanelClose: ref('btn-search-panel-close'),
+        searchOptionButtons: root.querySelectorAll('.search-option[data-option]'),
+        searchIndexStatus: ref('search-index-status'),
+        btnViewMode: ref('btn-view-mode'),
+        btnDirection: ref('btn-direction'),
+        btnPagination: ref('btn-pagination'),
+        paginationBar: ref('pagination-bar'),
+        paginationButtons: root.querySelectorAll('[data-pagination]'),
+        btnPaginationAuto: ref('btn-pagination-auto'),
+        iconSingle: ref('icon-single'),
+        iconDouble: ref('icon-double'),
+        btnZoomIn: ref('btn-zoom-in'),
+        btnZoomOut: ref('btn-zoom-out'),
+        btnShare: ref('btn-share'),
+        btnClearHistory: ref('btn-clear-history'),
+        btnAnalytics: ref('btn-analytics'),
+        btnAnalyticsConsent: ref('btn-analytics-consent'),
+        btnLibraryClearHistory: ref('btn-library-clear-history'),
+        btnFullscreen: ref('btn-fullscreen'),
+
+        // Contents Panel
+        btnContents: ref('btn-contents'),
+        btnContentsClose: ref('btn-contents-close'),
+        contentsPanel: ref('contents-panel'),
+        contentsList: ref('contents-list'),
+
+        // Thumbnails
+        btnThumbnails: ref('btn-thumbnails'),
+        thumbnailRail: ref('thumbnail-rail'),
+        pageGrid: ref('page-grid'),
+        pageGridList: ref('page-grid-list'),
+        btnPageGridClose: ref('btn-page-grid-close'),
+
+        // Toast
+        toast: ref('toast'),
+        toastMessage: ref('toast-message'),
+        toastAction: ref('toast-action'),
+
+        // Text Selection
+        btnCopySelection: ref('btn-copy-selection'),
+
+        // Bookmarks
+        btnBookmark: ref('btn-bookmark'),
+        btnBookmarks: ref('btn-bookmarks'),
+        bookmarksPanel: ref('bookmarks-panel'),
+        bookmarksList: ref('bookmarks-list'),
+        btnBookmarksClose: ref('btn-bookmarks-close'),
+
+        // Annotations
+        btnAnnotate: ref('btn-annotate'),
+        annotationBar: ref('annotation-bar'),
+        annotationToolButtons: root.querySelectorAll('.annotation-tool[data-tool]'),
+        annotationColorButtons: root.querySelectorAll('.annotation-color[data-color]'),
+        btnAnnotationImport: ref('btn-annotation-import'),
+        btnAnnotationExport: ref('btn-annotation-export'),
+        btnAnnotationExportPdf: ref('btn-annotation-export-pdf'),
+        annotationImportInput: ref('annotation-import'),
+
+        // Read Aloud
+        btnReadAloud: ref('btn-read-aloud'),
+        readAloudBar: ref('read-aloud-bar'),
+        btnReadAloudPlay: ref('btn-read-aloud-play'),
+        iconReadAloudPlay: ref('icon-read-aloud-play'),
+        iconReadAloudPause: ref('icon-read-aloud-pause'),
+        btnReadAloudStop: ref('btn-read-aloud-stop'),
+        readAloudLang: ref('read-aloud-lang'),
+        readAloudVoice: ref('read-aloud-voice'),
+        readAloudRate: ref('read-aloud-rate'),
+
+        // Accessibility
+        btnAccessibility: ref('btn-accessibility'),
+        accessibilityBar: ref('accessibility-bar'),
+        btnReadingView: ref('btn-reading-view'),
+        btnReducedMotion: ref('btn-reduced-motion'),
+        readingView: ref('reading-view'),
+        pageAnnouncer: ref('page-announcer'),
+
+        // Presentation
+        btnPresentation: ref('btn-presentation'),
+        presentationBar: ref('presentation-bar'),
+        presentationInterval: ref('presentation-interval'),
+        btnPresentationLoop: ref('btn-presentation-loop'),
+        presentationKiosk: ref('presentation-kiosk'),
+        btnPresentationStart: ref('btn-presentation-start'),
+        presenterHud: ref('presenter-hud'),
+        presenterStatus: ref('presenter-status'),
+        btnPresenterPause: ref('btn-presenter-pause'),
+        iconPresenterPause: ref('icon-presenter-pause'),
+        iconPresenterPlay: ref('icon-presenter-play'),
+        btnPresenterExit: ref('btn-presenter-exit'),
+    };
 
-        // Extract text for search
-        showLoading('Preparing pages...');
-        await extractAllPageTexts();
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        state.searchOptions = readSearchOptions();
+        state.accessibilitySettings = readAccessibilitySettings();
+        setupEventListeners();
+        // Only the main viewer follows the address bar; embedded ones are told what to show
+        const fileUrl = options.main ? checkUrlForPdf() : options.src;
+        if (!options.main) {
+            applyViewOptions(options);
+        }
+        checkMobileMode();
+        if (options.main) {
+            // Load the linked PDF, the bookshelf, or the default one from the book folder
+            openInitialDocument(fileUrl);
+        } else if (fileUrl) {
+            loadPdfFromUrl(fileUrl);
+        } else {
+            elements.uploadScreen.classList.remove('hidden');
+        }
 
-        // Initialize flipbook
-        await initFlipbook();
+        // Setup Zoom and Pan Controls (Global)
+        setupZoomPanControls();
+        setupMobileControls(); // Init mobile UI
+        setupTextSelection();
+        setupAnnotations();
+        setupReadAloud();
+        setupAccessibility();
+        setupPresentation();
+        setupAnalytics();
+
+        if (options.main) {
+            setupEmbedBridge();
+        }
+        setupNetworkStatus();
+    }
 
-        // Pre-render all pages to ensure smooth flipping
-        showLoading('Rendering pages...');
-        await preRenderAllPages();
+    function checkMobileMode() {
+        const wasMobile = state.isMobile;
+        // An embedded viewer goes single-page when its container is narrow, whatever the window
+        const width = options.main ? window.innerWidth : root.clientWidth;
+        state.isMobile = width <= MOBILE_BREAKPOINT;
+        // Shows the mobile bottom bar by the same measure, not the window's breakpoint
+        root.classList.toggle('yalebook-compact', state.isMobile);
+
+        // Force single-page mode on mobile
+        if (state.isMobile && state.isDoublePageMode) {
+            state.isDoublePageMode = false;
+            // Update icons
+            if (elements.iconSingle && elements.iconDouble) {
+                elements.iconSingle.classList.remove('hidden');
+                elements.iconDouble.classList.add('hidden');
+            }
+            // Update flipbook class for styling
+            if (elements.flipbook) {
+                elements.flipbook.classList.add('single-mode');
+            }
+        }
 
-        // Show viewer
-        elements.uploadScreen.classList.add('hidden');
-        elements.viewerContainer.classList.remove('hidden');
+        // Set slightly zoomed out default for mobile
+        if (state.isMobile && state.zoom === 1) {
+            state.zoom = 0.9;
+        }
 
-        // Update crease visibility
-        updateCreaseVisibility();
+        return wasMobile !== state.isMobile;
+    }
 
-        hideLoading();
+    async function openInitialDocument(fileUrl) {
+        await loadLibrary();
 
-    } catch (error) {
-        console.error('Error loading PDF:', error);
-        hideLoading();
-        showToast('Error loading PDF. Please try another file.');
+        if (fileUrl) {
+            loadPdfFromUrl(fileUrl);
+        } else if (state.library.length > 1) {
+            showLibrary();
+        } else {
+            loadPdfFromUrl(state.library.length === 1 ? state.library[0].url : DEFAULT_PDF_URL);
+        }
     }
-}
 
-async function renderPage(pageNum, width, height) {
-    // Check cache
-    const cacheKey = `${pageNum}-${width}-${height}`;
-    if (state.pageCache.has(cacheKey)) {
-        return state.pageCache.get(cacheKey);
-    }
+    async function loadPdfFromUrl(url) {
+        const generation = ++loadGeneration;
+        const isSuperseded = () => generation !== loadGeneration;
+        showLoading('PDF 로딩 중...');
 
-    try {
-        const page = await state.pdfDoc.getPage(pageNum);
+        try {
+            // Let PDF.js fetch only the byte ranges it needs, so the cover
+            // can be shown while the rest of the file streams in
+            const pdfDoc = await openRemotePdf(url);
+            if (isSuperseded()) {
+                pdfDoc.destroy();
+                return;
+            }
+            state.pdfDoc = pdfDoc;
+            state.totalPages = state.pdfDoc.numPages;
+            state.pageSizes = Array.from({ length: state.totalPages });
+            state.sourceUrl = url;
+            state.fingerprint = state.pdfDoc.fingerprints[0];
+            loadAnnotations();
+            loadBookmarks();
+            loadReadingDirection();
+            loadPagination();
+
+            // Deep links may point past the end of this document
+            state.currentPage = Math.min(Math.max(state.currentPage, 1), state.totalPages);
+
+            // Update UI
+            elements.totalPages.textContent = state.totalPages;
+            elements.pageInput.max = state.totalPages;
+
+            showLoading('페이지 준비 중...');
+
+            // Show viewer BEFORE initializing flipbook so it can measure dimensions
+            elements.uploadScreen.classList.add('hidden');
+            elements.libraryScreen.classList.add('hidden');
+            elements.viewerContainer.classList.remove('hidden');
+
+            // Wait for the DOM to update and have proper dimensions
+            await new Promise(resolve => {
+                requestAnimationFrame(() => {
+                    setTimeout(resolve, 100);
+                });
+            });
+            if (isSuperseded()) return;
 
-        // Get PDF's native viewport
-        const nativeViewport = page.getViewport({ scale: 1 });
+            // Initialize flipbook (resolves once the first spread is rendered)
+            await initFlipbook();
+            if (isSuperseded()) return;
 
-        // Calculate scale to fit the target dimensions
-        const fitScale = Math.min(width / nativeViewport.width, height / nativeViewport.height);
+            // Apply zoom restored from the link
+            updateTransform();
+            triggerHighResRender();
 
-        // Render at native PDF scale x 2 for highest quality
-        // This ensures crisp text regardless of display size
-        const renderScale = 2 * fitScale;
+            // Update crease visibility
+            updateCreaseVisibility();
+            updateFlipGuides();
+            updateUrl();
 
-        const renderViewport = page.getViewport({ scale: renderScale });
+            hideLoading();
+            offerResume();
 
-        // Create canvas at render resolution
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d', {
-            alpha: false,  // Disable alpha for better performance
-            desynchronized: true,  // Better rendering performance
-        });
-        canvas.width = renderViewport.width;
-        canvas.height = renderViewport.height;
-
-        // Enable high-quality rendering
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-
-        // Render with highest quality settings
-        await page.render({
-            canvasContext: ctx,
-            viewport: renderViewport,
-            intent: 'display',
-            renderInteractiveForms: true,
-        }).promise;
-
-        // Scale canvas down via CSS to target size for crisp display
-        const displayWidth = nativeViewport.width * fitScale;
-        const displayHeight = nativeViewport.height * fitScale;
-        canvas.style.width = `${displayWidth}px`;
-        canvas.style.height = `${displayHeight}px`;
-
-        // Cache the canvas
-        state.pageCache.set(cacheKey, canvas);
+            // Build table of contents from the PDF outline
+            await buildContents();
+            if (isSuperseded()) return;
+            resetThumbnails();
 
-        return canvas;
+            // Index text for search in the background; a search requested by the link
+            // runs now and fills in as pages are indexed
+            startSearchIndexing({ getData: () => pdfDoc.getData() });
+            applyPendingSearch();
+            measureRemainingPages();
 
-    } catch (error) {
-        console.error(`Error rendering page ${pageNum}:`, error);
-        return createErrorPage(width, height);
-    }
-}
+            // Keep a copy for offline reading once the whole file has arrived
+            cachePdfForOffline(state.pdfDoc, url);
 
-function createErrorPage(width, height) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = width;
-    canvas.height = height;
-    ctx.fillStyle = '#f5f5f5';
-    ctx.fillRect(0, 0, width, height);
-    ctx.fillStyle = '#999';
-    ctx.font = '16px Inter, sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText('Page could not be loaded', width / 2, height / 2);
-    return canvas;
-}
+            emitViewerEvent('loaded', getViewerState());
+            startAnalyticsSession();
 
-// ============================================
-// High-Res Re-rendering Logic
-// ============================================
+        } catch (error) {
+            // Closing the document mid-load makes PDF.js reject - nothing to report
+            if (isSuperseded()) return;
+            console.error('Error loading PDF:', error);
+            hideLoading();
+            showToast(navigator.onLine ? 'PDF 로딩 오류.' : '오프라인에서는 저장된 호만 열 수 있습니다');
+            emitViewerEvent('error', { message: error && error.message || 'Failed to load PDF', source: url });
+        }
+    }
 
-let highResRenderTimeout = null;
+    // Watches an embedded viewer's container for size changes
+    let containerObserver = null;
 
-function triggerHighResRender() {
-    if (highResRenderTimeout) clearTimeout(highResRenderTimeout);
+    function setupEventListeners() {
+        // File Upload
+        elements.pdfUpload.addEventListener('change', handleFileUpload);
+        // Toolbar File Upload
+        if (elements.pdfUploadToolbar) {
+            elements.pdfUploadToolbar.addEventListener('change', handleToolbarFileUpload);
+        }
+        // Library File Upload
+        elements.pdfUploadLibrary.addEventListener('change', handleToolbarFileUpload);
 
-    // Debounce to avoid rendering while still zooming
-    highResRenderTimeout = setTimeout(async () => {
-        // Only render if zoomed in
-        if (state.zoom > 1) {
-            // Determine which pages are visible
-            const visiblePages = [];
+        // Library
+        elements.btnLibrary.addEventListener('click', showLibrary);
 
-            if (state.isDoublePageMode) {
-                // In double mode, we typically show 2 pages based on current spread
-                // Or simplified: just render current page(s)
-                // StPageFlip manages visibility but we know state.currentPage
-                // If page 1, show 1. If page 2-3, show 2 and 3.
+        // Drag and Drop
+        const uploadContainer = root.querySelector('.upload-container');
+        uploadContainer.addEventListener('dragover', handleDragOver);
+        uploadContainer.addEventListener('dragleave', handleDragLeave);
+        uploadContainer.addEventListener('drop', handleDrop);
 
-                // Logic depends on how StPageFlip reports currentPage. 
-                // Usually it reports the left page or the single page.
+        // Navigation
+        elements.btnPrev.addEventListener('click', goToLeftPage);
+        elements.btnNext.addEventListener('click', goToRightPage);
 
-                // We can query the DOM for visible pages or infer from indices
-                const current = state.currentPage; // e.g. 1, or 2 (meaning 2-3)
+        elements.pageInput.addEventListener('change', handlePageInputChange);
+        elements.pageInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') handlePageInputChange();
+        });
 
-                // If page 1 (cover)
-                if (current === 1) {
-                    visiblePages.push(1);
+        // Search
+        elements.searchInput.addEventListener('input', debounce(() => handleSearch(), 300));
+        elements.searchInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    goToPrevSearchResult();
                 } else {
-                    // It's a spread.
-                    // If total pages is even, last page is single on right?
-                    // Usually: 1 (right), 2-3, 4-5...
-                    // Let's just try to render current and current+1 if valid
-                    visiblePages.push(current);
-                    if (current + 1 <= state.totalPages) visiblePages.push(current + 1);
-                    // Wait, if current is even (2), it means 2 is left, 3 is right?
-                    // StPageFlip: 
-                    // [1] -> index 0
-                    // [2,3] -> index 1 (pages 2 and 3)
-                    // If we are at page 2, we are seeing 2 and 3.
+                    goToNextSearchResult();
                 }
-            } else {
-                visiblePages.push(state.currentPage);
             }
+        });
+        elements.btnSearchPrev.addEventListener('click', goToPrevSearchResult);
+        elements.btnSearchNext.addEventListener('click', goToNextSearchResult);
+        elements.btnSearchPanelClose.addEventListener('click', () => toggleSearchPanel(false));
+        elements.searchOptionButtons.forEach(button => {
+            button.addEventListener('click', () => toggleSearchOption(button.dataset.option));
+        });
+        updateSearchOptionButtons();
+        elements.searchResults.addEventListener('click', () => {
+            if (state.currentSearchQuery) toggleSearchPanel();
+        });
 
-            // Loop through visible pages and re-render
-            for (const pageNum of visiblePages) {
-                await renderPageHighRes(pageNum);
-            }
-        }
-    }, 300); // 300ms delay after interaction ends
-}
+        // View Mode
+        elements.btnViewMode.addEventListener('click', toggleViewMode);
+        elements.btnDirection.addEventListener('click', toggleReadingDirection);
+        elements.btnPagination.addEventListener('click', () => togglePaginationBar());
+        elements.paginationButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const option = button.dataset.pagination;
+                setPaginationOverrides({ ...state.paginationOverrides, [option]: !state.pagination[option] });
+            });
+        });
+        elements.btnPaginationAuto.addEventListener('click', () => {
+            setPaginationOverrides({});
+            showToast('페이지 배치를 자동으로 맞춥니다');
+        });
 
-async function renderPageHighRes(pageNum) {
-    if (pageNum < 1 || pageNum > state.totalPages) return;
+        // Zoom
+        elements.btnZoomIn.addEventListener('click', zoomIn);
+        elements.btnZoomOut.addEventListener('click', zoomOut);
 
-    try {
-        const page = await state.pdfDoc.getPage(pageNum);
-        const viewport = page.getViewport({ scale: 1 });
+        // Contents Panel
+        elements.btnContents.addEventListener('click', toggleContentsPanel);
+        elements.btnContentsClose.addEventListener('click', () => toggleContentsPanel(false));
 
-        // Target dimensions based on base size + zoom + device pixel ratio
-        // state.basePageWidth is the display size at zoom 1
-        const zoomLevel = state.zoom;
-        const dpr = window.devicePixelRatio || 1;
+        // Bookmarks
+        elements.btnBookmark.addEventListener('click', toggleBookmark);
+        elements.btnBookmarks.addEventListener('click', () => toggleBookmarksPanel());
+        elements.btnBookmarksClose.addEventListener('click', () => toggleBookmarksPanel(false));
 
-        // Calculate the exact pixel size needed for crisp rendering
-        // We want the canvas width to match the *screen pixels* occupied by the page
-        const targetWidth = state.basePageWidth * zoomLevel * dpr;
-        const targetHeight = state.basePageHeight * zoomLevel * dpr;
+        // Thumbnails
+        elements.btnThumbnails.addEventListener('click', toggleThumbnails);
+        elements.btnPageGridClose.addEventListener('click', () => toggleThumbnails(false));
 
-        // Calculate scale needed to hit that target
-        const scale = targetWidth / viewport.width;
+        // Share
+        elements.btnShare.addEventListener('click', shareLink);
 
-        const renderViewport = page.getViewport({ scale: scale });
+        // Reading History
+        elements.btnClearHistory.addEventListener('click', clearReadingHistory);
+        elements.btnLibraryClearHistory.addEventListener('click', clearReadingHistory);
 
-        // Find existing page element
-        const pageElement = document.querySelector(`.page[data-page-num="${pageNum}"] .page-content`);
-        if (!pageElement) return;
+        // Fullscreen
+        elements.btnFullscreen.addEventListener('click', toggleFullscreen);
+        document.addEventListener('fullscreenchange', handleFullscreenChange, { signal });
 
-        // Check if we already have a high-res canvas here?
-        // Maybe store metadata on canvas?
-        // Let's just create new and swap.
 
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d', { alpha: false, desynchronized: true });
+        // Keyboard Navigation (goes to the viewer last clicked or focused)
+        document.addEventListener('keydown', handleKeydown, { signal });
+        const activate = () => { activeViewer = viewer; };
+        root.addEventListener('pointerdown', activate, true);
+        root.addEventListener('focusin', activate);
 
-        canvas.width = renderViewport.width;
-        canvas.height = renderViewport.height;
+        // Window Resize - an embedded viewer also follows its container
+        window.addEventListener('resize', debounce(handleResize, 200), { signal });
+        if (!options.main && 'ResizeObserver' in window) {
+            containerObserver = new ResizeObserver(debounce(handleResize, 200));
+            containerObserver.observe(root);
+        }
 
-        // Force Display size to match base layout (StPageFlip controls exact sizing via transform)
-        // But we need to ensure the canvas FITS inside the .page container
-        // .page has style.width = basePageWidth
-        // So canvas.style.width should be 100% of parent? 
-        // Or explicit basePageWidth?
-        // StPageFlip might scale the .page element itself?
-        // Actually, looking at Styles, .page-content usually fills .page
+        // Manually edited #page= links
+        if (options.main) {
+            window.addEventListener('hashchange', handleHashChange, { signal });
+        }
 
-        canvas.style.width = '100%';
-        canvas.style.height = '100%';
+        // Prevent right-click from triggering page flip
+        elements.flipbook.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+        });
+    }
 
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
+    // Deep link schema:
+    //   ?file=<url>#page=12&zoom=1.5&mode=single&dir=rtl&cover=0&search=term
+    // Returns the PDF URL to open, or null for the default document
+    function checkUrlForPdf() {
+        const { file, ...view } = parseDeepLink();
+        applyViewOptions(view);
+
+        if (file && !isAllowedPdfUrl(file)) {
+            console.warn('Blocked PDF from disallowed origin:', file);
+            showToast('허용되지 않은 PDF 주소입니다');
+            return null;
+        }
+        return file;
+    }
 
-        await page.render({
-            canvasContext: ctx,
-            viewport: renderViewport,
-            intent: 'display'
-        }).promise;
+    // Page, zoom, view mode, direction, spread layout and search to start with - from a deep link or YaleBook.create() options
+    function applyViewOptions({ page, zoom, mode, dir, search, ...layout }) {
+        page = parseInt(page);
+        zoom = parseFloat(zoom);
+        search = (search || '').trim();
 
-        // Swap
-        pageElement.innerHTML = '';
-        pageElement.appendChild(canvas);
+        if (page) {
+            state.currentPage = page;
+        }
 
-        // console.log(`High-res rendered page ${pageNum} at scale ${scale.toFixed(2)}`);
+        if (zoom) {
+            state.zoom = Math.min(Math.max(zoom, state.minZoom), state.maxZoom);
+        }
 
-    } catch (e) {
-        console.error('High res render failed', e);
-    }
-}
+        if (mode === 'single' || mode === 'double') {
+            state.isDoublePageMode = mode === 'double';
+            applyViewModeUI();
+        }
 
-async function extractAllPageTexts() {
-    for (let i = 1; i <= state.totalPages; i++) {
-        try {
-            const page = await state.pdfDoc.getPage(i);
-            const textContent = await page.getTextContent();
-            const text = textContent.items.map(item => item.str).join(' ');
-            state.pageTexts.set(i, text.toLowerCase());
-        } catch (error) {
-            console.error(`Error extracting text from page ${i}:`, error);
-            state.pageTexts.set(i, '');
+        if (dir === 'ltr' || dir === 'rtl') {
+            state.requestedDirection = dir;
         }
-    }
-}
 
-// ============================================
-// Flipbook Initialization
-// ============================================
+        // cover / blank / back: 1 or 0 in a deep link, booleans in YaleBook.create() options
+        const pagination = {};
+        Object.entries(PAGINATION_PARAMS).forEach(([option, param]) => {
+            const value = String(layout[param]);
+            if (value === '1' || value === 'true') pagination[option] = true;
+            if (value === '0' || value === 'false') pagination[option] = false;
+        });
+        if (Object.keys(pagination).length > 0) {
+            state.requestedPagination = pagination;
+        }
+
+        if (search) {
+            state.pendingSearchQuery = search;
+            elements.searchInput.value = search;
+        }
+    }
 
-async function initFlipbook() {
-    // Get dimensions from the main viewer container, not the immediate parent
-    // This prevents the shrinking issue when toggling view modes
-    const viewerContainer = document.getElementById('viewer-container');
-    const toolbarHeight = 72;
+    function parseDeepLink() {
+        const query = new URLSearchParams(window.location.search);
+        const hash = new URLSearchParams(window.location.hash.replace(/^#/, ''));
 
-    // Always use window/viewer dimensions to calculate available space
-    const availableHeight = (viewerContainer ? viewerContainer.clientHeight : window.innerHeight) - toolbarHeight;
-    const availableWidth = viewerContainer ? viewerContainer.clientWidth : window.innerWidth;
+        return {
+            file: query.get('file'),
+            page: parseInt(hash.get('page')) || null,
+            zoom: parseFloat(hash.get('zoom')) || null,
+            mode: hash.get('mode'),
+            dir: hash.get('dir'),
+            cover: hash.get('cover'),
+            blank: hash.get('blank'),
+            back: hash.get('back'),
+            search: (hash.get('search') || '').trim(),
+        };
+    }
 
-    // Get PDF aspect ratio from first page
-    let aspectRatio = 0.714; // Fallback
-    if (state.pdfDoc) {
+    function isAllowedPdfUrl(url) {
         try {
-            const page = await state.pdfDoc.getPage(1);
-            const viewport = page.getViewport({ scale: 1 });
-            aspectRatio = viewport.width / viewport.height;
-        } catch (e) {
-            console.error('Error getting page aspect ratio:', e);
+            const parsed = new URL(url, window.location.href);
+            if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+            return ALLOWED_PDF_ORIGINS.includes(parsed.origin);
+        } catch (error) {
+            return false;
         }
     }
 
-    // Ensure minimum dimensions
-    const maxHeight = Math.max(availableHeight, 400);
-    const maxWidth = Math.max(availableWidth, 300);
+    function handleHashChange() {
+        const { page } = parseDeepLink();
+        if (page && page !== state.currentPage) {
+            goToPage(page);
+        }
+    }
 
-    let pageWidth, pageHeight;
+    function applyPendingSearch() {
+        if (!state.pendingSearchQuery) return;
+        elements.searchInput.value = state.pendingSearchQuery;
+        state.pendingSearchQuery = '';
+        handleSearch({ stayOnPage: true });
+    }
 
-    // Calculate page dimensions based on view mode and aspect ratio
-    if (state.isDoublePageMode) {
-        // Double-page mode: 2 pages side by side
-        // Try to fit height first
-        pageHeight = maxHeight;
-        pageWidth = pageHeight * aspectRatio;
+    // ============================================
+    // File Handling
+    // ============================================
 
-        // If width is too wide (2 pages > available width), scale down
-        if (pageWidth * 2 > maxWidth) {
-            pageWidth = maxWidth / 2;
-            pageHeight = pageWidth / aspectRatio;
+    function handleFileUpload(e) {
+        const file = e.target.files[0];
+        if (file && file.type === 'application/pdf') {
+            loadPdf(file);
         }
-    } else {
-        // Single-page mode: 1 page centered
-        pageHeight = maxHeight;
-        pageWidth = pageHeight * aspectRatio;
+    }
 
-        // If width is too wide, scale down
-        if (pageWidth > maxWidth) {
-            pageWidth = maxWidth;
-            pageHeight = pageWidth / aspectRatio;
+    function handleToolbarFileUpload(e) {
+        const file = e.target.files[0];
+        if (file && file.type === 'application/pdf') {
+            // Tear down the open document like the bookshelf does, then load the new one
+            closeDocument();
+            loadPdf(file);
         }
+        // Reset input so same file can be selected again
+        e.target.value = '';
     }
 
-    // Ensure valid dimensions (flooring to avoid subpixel rendering issues)
-    pageWidth = Math.floor(pageWidth);
-    pageHeight = Math.floor(pageHeight);
+    function handleDragOver(e) {
+        e.preventDefault();
+        e.currentTarget.classList.add('drag-over');
+    }
+
+    function handleDragLeave(e) {
+        e.currentTarget.classList.remove('drag-over');
+    }
 
-    state.basePageWidth = pageWidth;
-    state.basePageHeight = pageHeight;
+    function handleDrop(e) {
+        e.preventDefault();
+        e.currentTarget.classList.remove('drag-over');
 
-    // Set magazine container dimensions to match book exactly
-    // This ensures page-underneath allows aligns perfectly with the pages
-    const magazineContainer = document.getElementById('magazine-container');
-    if (magazineContainer) {
-        const totalWidth = state.isDoublePageMode ? pageWidth * 2 : pageWidth;
-        magazineContainer.style.width = `${totalWidth}px`;
-        magazineContainer.style.height = `${pageHeight}px`;
-        // Ensure accurate positioning for children (page-underneath)
-        // Switch to block to avoid flex items centering behaviors interfering with absolute positioning
-        magazineContainer.style.display = 'block';
+        const file = e.dataTransfer.files[0];
+        if (file && file.type === 'application/pdf') {
+            loadPdf(file);
+        }
     }
 
-    // Clear existing
-    elements.flipbook.innerHTML = '';
+    // ============================================
+    // PDF Loading & Rendering
+    // ============================================
 
-    // Create page elements
-    for (let i = 1; i <= state.totalPages; i++) {
-        const pageDiv = document.createElement('div');
-        pageDiv.className = 'page';
-        pageDiv.dataset.pageNum = i;
+    // Bumped by every load and by closeDocument(), so a load still awaiting PDF.js or the
+    // first render can tell it was superseded (another document, or destroy()) and stop
+    // before it touches the viewer. closeDocument() cleans up what it had already set up.
+    let loadGeneration = 0;
 
-        // Explicitly set size
-        pageDiv.style.width = `${pageWidth}px`;
-        pageDiv.style.height = `${pageHeight}px`;
+    async function loadPdf(file) {
+        const generation = ++loadGeneration;
+        const isSuperseded = () => generation !== loadGeneration;
+        showLoading('Loading PDF...');
 
-        // Add cover classes for first and last pages
-        if (i === 1) {
-            pageDiv.classList.add('cover-page', 'cover-front');
-        } else if (i === state.totalPages) {
-            pageDiv.classList.add('cover-page', 'cover-back');
-        }
+        try {
+            const arrayBuffer = await file.arrayBuffer();
+            if (isSuperseded()) return;
+            // The search worker opens its own copy
+            const indexData = arrayBuffer.slice(0);
+            const pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+            if (isSuperseded()) {
+                pdfDoc.destroy();
+                return;
+            }
+            state.pdfDoc = pdfDoc;
+            state.totalPages = state.pdfDoc.numPages;
+            state.pageSizes = Array.from({ length: state.totalPages });
+            // Local files can't be linked to
+            state.sourceUrl = null;
+            state.fingerprint = state.pdfDoc.fingerprints[0];
+            loadAnnotations();
+            loadBookmarks();
+            loadReadingDirection();
+            loadPagination();
+
+            // Update UI
+            elements.totalPages.textContent = state.totalPages;
+            elements.pageInput.max = state.totalPages;
+
+            // Show viewer BEFORE initializing flipbook so it can measure dimensions
+            // (it is still hidden when uploading from the upload or library screen)
+            elements.uploadScreen.classList.add('hidden');
+            elements.libraryScreen.classList.add('hidden');
+            elements.viewerContainer.classList.remove('hidden');
+
+            // Initialize flipbook (resolves once the first spread is rendered)
+            await initFlipbook();
+            if (isSuperseded()) return;
+
+            // Update crease visibility
+            updateCreaseVisibility();
 
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'page-content';
-        contentDiv.innerHTML = '<div class="loading-spinner"></div>';
+            // Build table of contents from the PDF outline
+            await buildContents();
+            if (isSuperseded()) return;
+            resetThumbnails();
 
-        // Add backside element for single-page mode (shows mirrored content)
-        if (!state.isDoublePageMode) {
-            const backsideDiv = document.createElement('div');
-            backsideDiv.className = 'page-backside';
-            pageDiv.appendChild(backsideDiv);
-        }
-
-        pageDiv.appendChild(contentDiv);
-        elements.flipbook.appendChild(pageDiv);
-    }
-
-    // Initialize StPageFlip with mode-appropriate settings
-    state.pageFlip = new St.PageFlip(elements.flipbook, {
-        width: pageWidth,
-        height: pageHeight,
-        size: 'fixed', // Use fixed size to respect our exact calculations
-        minWidth: 200,
-        maxWidth: pageWidth * 2, // Allow some flexibility
-        minHeight: 280,
-        maxHeight: pageHeight * 2,
-        showCover: true, // Enable cover mode for proper magazine pagination
-        mobileScrollSupport: true,
-        // swipeDistance should be relative to page width
-        swipeDistance: state.isDoublePageMode ? pageWidth / 2 : pageWidth / 4,
-        clickEventForward: true,
-        usePortrait: !state.isDoublePageMode,
-        startPage: state.currentPage - 1,
-        drawShadow: true,
-        flippingTime: 600,
-        useMouseEvents: true,
-        autoSize: true,
-        maxShadowOpacity: 0.4,
-        showPageCorners: false,
-        disableFlipByClick: false,
-    });
+            hideLoading();
+            offerResume();
 
-    // Load pages
-    state.pageFlip.loadFromHTML(document.querySelectorAll('.page'));
+            // Index text for search in the background
+            startSearchIndexing({ data: indexData });
+            applyPendingSearch();
+            measureRemainingPages();
 
-    // Event listeners
-    state.pageFlip.on('flip', (e) => {
-        state.currentPage = e.data + 1;
-        updatePageIndicator();
-        updateUrl();
-        renderVisiblePages();
-        updateCoverState();
-        updateFlipGuides();
-    });
+            emitViewerEvent('loaded', getViewerState());
+            startAnalyticsSession();
 
-    // Pre-render upcoming pages when flip starts and show page underneath
-    state.pageFlip.on('changeState', (e) => {
-        if (e.data === 'flipping' || e.data === 'user_fold' || e.data === 'fold_corner') {
-            // When flipping starts, show the next page underneath
-            const currentIndex = state.pageFlip.getCurrentPageIndex();
-
-            // In double-page mode with showCover:true
-            // currentIndex 0 = cover (page 1), currentIndex 1 = pages 2-3, etc.
-            // The next right page would be currentIndex + 2 pages ahead
-            if (state.isDoublePageMode) {
-                showPageUnderneath(currentIndex);
-            }
-
-            // Pre-render up to 6 pages ahead
-            const nextPages = [];
-            for (let i = 1; i <= 6; i++) {
-                const pageNum = currentIndex + 1 + i;
-                if (pageNum >= 1 && pageNum <= state.totalPages) {
-                    nextPages.push(pageNum);
-                }
-            }
-            nextPages.forEach(pageNum => renderPageContent(pageNum));
+        } catch (error) {
+            if (isSuperseded()) return;
+            console.error('Error loading PDF:', error);
+            hideLoading();
+            showToast('Error loading PDF. Please try another file.');
+            emitViewerEvent('error', { message: error && error.message || 'Failed to load PDF', source: null });
         }
+    }
 
-        if (e.data === 'read') {
-            // Hide the underneath page when flip completes
-            hidePageUnderneath();
+    async function openRemotePdf(url) {
+        const loadingTask = pdfjsLib.getDocument({
+            url,
+            rangeChunkSize: PDF_RANGE_CHUNK_SIZE,
+            disableRange: false,
+            disableStream: false,
+            // Keep fetching the remaining chunks in the background after the first render
+            disableAutoFetch: false,
+        });
+        loadingTask.onProgress = updateLoadingProgress;
+
+        try {
+            return await loadingTask.promise;
+        } catch (error) {
+            // A missing, damaged or password-protected file won't load any better the second time
+            if (error && PDF_LOAD_FINAL_ERRORS.includes(error.name)) throw error;
+
+            // PDF.js already falls back to a plain stream when the server lacks
+            // Accept-Ranges; this covers servers/proxies that break that as well
+            console.warn('Range loading failed, falling back to full download:', error);
+            const data = await fetchPdfData(url);
+            return pdfjsLib.getDocument({ data }).promise;
         }
-    });
+    }
+
+    // Full download with progress reporting
+    async function fetchPdfData(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error('Failed to load PDF');
 
-    function showPageUnderneath(currentIndex) {
-        // Calculate the next right-side page number
-        // With showCover: true, page ordering is: [1], [2,3], [4,5], [6,7]...
-        // Next right page from [2,3] would be 5, from [4,5] would be 7
-        const nextRightPageNum = currentIndex * 2 + 3; // Approximation for spread layout
+        const total = parseInt(response.headers.get('Content-Length')) || 0;
+        if (!response.body) {
+            return new Uint8Array(await response.arrayBuffer());
+        }
 
-        if (nextRightPageNum > state.totalPages) return;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
 
-        // Find or create the underneath preview element
-        let underneathEl = document.getElementById('page-underneath');
-        if (!underneathEl) {
-            underneathEl = document.createElement('div');
-            underneathEl.id = 'page-underneath';
-            underneathEl.className = 'page-underneath';
-            const magazineContainer = document.getElementById('magazine-container');
-            magazineContainer.appendChild(underneathEl);
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            updateLoadingProgress({ loaded, total });
         }
 
-        // Get the next page's canvas content
-        const nextPageEl = document.querySelector(`.page[data-page-num="${nextRightPageNum}"]`);
-        if (nextPageEl) {
-            const canvas = nextPageEl.querySelector('canvas');
-            if (canvas) {
-                underneathEl.innerHTML = '';
-                const clonedCanvas = canvas.cloneNode(true);
-                clonedCanvas.getContext('2d').drawImage(canvas, 0, 0);
-                underneathEl.appendChild(clonedCanvas);
-                underneathEl.style.display = 'block';
-            }
+        const data = new Uint8Array(loaded);
+        let offset = 0;
+        for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.length;
         }
+        return data;
     }
 
-    function hidePageUnderneath() {
-        const underneathEl = document.getElementById('page-underneath');
-        if (underneathEl) {
-            underneathEl.style.display = 'none';
+    function updateLoadingProgress({ loaded, total }) {
+        // Progress keeps arriving after the cover is shown - only report while loading
+        if (elements.loadingOverlay.classList.contains('hidden')) return;
+
+        if (total > 0) {
+            const percent = Math.min(100, Math.round((loaded / total) * 100));
+            elements.loadingText.textContent = `PDF 로딩 중... ${percent}%`;
+        } else {
+            elements.loadingText.textContent = `PDF 로딩 중... ${(loaded / (1024 * 1024)).toFixed(1)}MB`;
         }
     }
 
-    state.pageFlip.on('changeOrientation', () => {
-        updateCreaseVisibility();
-    });
+    // pdfDoc defaults to the open document; other documents (e.g. bookshelf covers) bypass the cache
+    async function renderPage(pageNum, width, height, pdfDoc = state.pdfDoc) {
+        const useCache = pdfDoc === state.pdfDoc;
+
+        // Check cache
+        const cacheKey = `${pageNum}-${width}-${height}`;
+        if (useCache && state.pageCache.has(cacheKey)) {
+            return state.pageCache.get(cacheKey);
+        }
 
-    // Set initial cover state
-    updateCoverState();
+        try {
+            const page = await pdfDoc.getPage(pageNum);
 
-    // Set initial cover state
-    updateCoverState();
+            // Get PDF's native viewport, turned by the page's /Rotate like its entry in state.pageSizes
+            const nativeViewport = page.getViewport({ scale: 1, rotation: page.rotate });
 
-    // Render visible pages
-    await renderVisiblePages();
-}
+            // Calculate scale to fit the target dimensions
+            const fitScale = Math.min(width / nativeViewport.width, height / nativeViewport.height);
 
-async function renderVisiblePages() {
-    const currentIndex = state.pageFlip.getCurrentPageIndex();
-    const pagesToRender = new Set();
+            // Render at native PDF scale x 2 for highest quality
+            // This ensures crisp text regardless of display size
+            const renderScale = 2 * fitScale;
 
-    // Current page(s)
-    pagesToRender.add(currentIndex + 1);
+            const renderViewport = page.getViewport({ scale: renderScale, rotation: page.rotate });
 
-    if (state.isDoublePageMode) {
-        // Also render adjacent page in spread
-        if ((currentIndex + 1) % 2 === 0) {
-            pagesToRender.add(currentIndex + 2);
-        } else {
-            pagesToRender.add(currentIndex);
+            // Create canvas at render resolution
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d', {
+                alpha: false,  // Disable alpha for better performance
+                desynchronized: true,  // Better rendering performance
+            });
+            canvas.width = renderViewport.width;
+            canvas.height = renderViewport.height;
+
+            // Enable high-quality rendering
+            ctx.imageSmoothingEnabled = true;
+            ctx.imageSmoothingQuality = 'high';
+
+            // Render with highest quality settings
+            await page.render({
+                canvasContext: ctx,
+                viewport: renderViewport,
+                intent: 'display',
+                renderInteractiveForms: true,
+            }).promise;
+
+            // Scale canvas down via CSS to target size for crisp display
+            const displayWidth = nativeViewport.width * fitScale;
+            const displayHeight = nativeViewport.height * fitScale;
+            canvas.style.width = `${displayWidth}px`;
+            canvas.style.height = `${displayHeight}px`;
+
+            // Cache the canvas
+            if (useCache) {
+                state.pageCache.set(cacheKey, canvas);
+            }
+
+            return canvas;
+
+        } catch (error) {
+            console.error(`Error rendering page ${pageNum}:`, error);
+            return createErrorPage(width, height);
         }
     }
 
-    // Preload nearby pages - extend further for double-page mode
-    const preloadRange = state.isDoublePageMode ? 4 : 2;
-    for (let i = -2; i <= preloadRange; i++) {
-        const pageNum = currentIndex + 1 + i;
-        if (pageNum >= 1 && pageNum <= state.totalPages) {
-            pagesToRender.add(pageNum);
-        }
+    function copyCanvas(source) {
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        canvas.style.cssText = source.style.cssText;
+        canvas.getContext('2d').drawImage(source, 0, 0);
+        return canvas;
     }
 
-    // Render each page
-    for (const pageNum of pagesToRender) {
-        await renderPageContent(pageNum);
+    function createErrorPage(width, height) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        canvas.width = width;
+        canvas.height = height;
+        ctx.fillStyle = '#f5f5f5';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#999';
+        ctx.font = '16px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('Page could not be loaded', width / 2, height / 2);
+        return canvas;
     }
-}
 
-// Pre-render all pages for smooth flipping
-async function preRenderAllPages() {
-    const renderPromises = [];
-    for (let pageNum = 1; pageNum <= state.totalPages; pageNum++) {
-        renderPromises.push(renderPageContent(pageNum));
+    // ============================================
+    // High-Res Re-rendering Logic
+    // ============================================
+
+    let highResRenderTimeout = null;
+
+    function triggerHighResRender() {
+        if (highResRenderTimeout) clearTimeout(highResRenderTimeout);
+
+        // Debounce to avoid rendering while still zooming
+        highResRenderTimeout = setTimeout(async () => {
+            // Only render if zoomed in
+            if (state.zoom > 1) {
+                for (const pageNum of getVisiblePages()) {
+                    await renderPageHighRes(pageNum);
+                }
+            }
+        }, 300); // 300ms delay after interaction ends
     }
-    await Promise.all(renderPromises);
-}
 
-async function renderPageContent(pageNum) {
-    const pageElement = document.querySelector(`.page[data-page-num="${pageNum}"]`);
-    if (!pageElement) return;
+    async function renderPageHighRes(pageNum) {
+        if (pageNum < 1 || pageNum > state.totalPages) return;
 
-    const contentDiv = pageElement.querySelector('.page-content');
-    if (contentDiv.querySelector('canvas')) return; // Already rendered
+        // Both sheets of a fold-out show this page
+        const contentDivs = root.querySelectorAll(`.page[data-page-num="${pageNum}"] .page-content`);
+        if (!contentDivs.length) return;
 
-    const width = state.basePageWidth;
-    const height = state.basePageHeight;
+        try {
+            const page = await state.pdfDoc.getPage(pageNum);
+            const viewport = page.getViewport({ scale: 1, rotation: page.rotate });
 
-    const canvas = await renderPage(pageNum, width, height);
-    contentDiv.innerHTML = '';
-    contentDiv.appendChild(canvas);
+            // Match the screen pixels the page occupies: its box at zoom 1, times zoom and device pixel ratio
+            const { width } = getContentBox(pageNum, contentDivs[0].closest('.page').dataset.half);
+            const dpr = window.devicePixelRatio || 1;
+            const scale = (width * state.zoom * dpr) / viewport.width;
 
-    // Add text layer for search highlighting
-    await addTextLayer(pageNum, contentDiv, width, height);
+            const renderViewport = page.getViewport({ scale, rotation: page.rotate });
 
-    // For single-page mode, clone canvas to backside for mirrored effect
-    const backsideDiv = pageElement.querySelector('.page-backside');
-    if (backsideDiv && !state.isDoublePageMode) {
-        const clonedCanvas = canvas.cloneNode(true);
-        // Copy canvas content
-        const ctx = clonedCanvas.getContext('2d');
-        ctx.drawImage(canvas, 0, 0);
-        backsideDiv.innerHTML = '';
-        backsideDiv.appendChild(clonedCanvas);
-    }
-}
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d', { alpha: false, desynchronized: true });
 
-async function addTextLayer(pageNum, container, width, height) {
-    try {
-        const page = await state.pdfDoc.getPage(pageNum);
-        const viewport = page.getViewport({ scale: 1 });
-        const scale = width / viewport.width;
-        const scaledViewport = page.getViewport({ scale });
+            canvas.width = renderViewport.width;
+            canvas.height = renderViewport.height;
 
-        const textContent = await page.getTextContent();
+            // The content box already has the page's display size at zoom 1
+            canvas.style.width = '100%';
+            canvas.style.height = '100%';
 
-        // Create text layer container
-        const textLayerDiv = document.createElement('div');
-        textLayerDiv.className = 'text-layer';
-        textLayerDiv.style.width = `${width}px`;
-        textLayerDiv.style.height = `${height}px`;
+            ctx.imageSmoothingEnabled = true;
+            ctx.imageSmoothingQuality = 'high';
 
-        // Render text items
-        textContent.items.forEach(item => {
-            const tx = pdfjsLib.Util.transform(scaledViewport.transform, item.transform);
+            await page.render({
+                canvasContext: ctx,
+                viewport: renderViewport,
+                intent: 'display'
+            }).promise;
 
-            const span = document.createElement('span');
-            span.textContent = item.str;
-            span.style.left = `${tx[4]}px`;
-            span.style.top = `${tx[5] - 15}px`;
-            span.style.fontSize = `${Math.abs(tx[0])}px`;
-            span.style.fontFamily = item.fontName || 'sans-serif';
+            contentDivs.forEach((contentDiv, index) => {
+                const sheetCanvas = index === 0 ? canvas : copyCanvas(canvas);
 
-            textLayerDiv.appendChild(span);
-        });
+                // Swap only the canvas so the text, link and annotation layers stay in place
+                const oldCanvas = contentDiv.querySelector(':scope > canvas');
+                if (oldCanvas) {
+                    contentDiv.replaceChild(sheetCanvas, oldCanvas);
+                } else {
+                    contentDiv.prepend(sheetCanvas);
+                }
 
-        container.appendChild(textLayerDiv);
-    } catch (error) {
-        console.error(`Error adding text layer for page ${pageNum}:`, error);
+                // Sharpen the ink for the new zoom level as well
+                drawInkLayer(contentDiv, pageNum);
+            });
+
+        } catch (e) {
+            console.error('High res render failed', e);
+        }
     }
-}
 
-// ============================================
-// Zoom and Pan Controls
-// ============================================
+    // ============================================
+    // Flipbook Initialization
+    // ============================================
 
-function setupZoomPanControls() {
-    const magazineContainer = document.getElementById('magazine-container');
-    const woodenTable = document.querySelector('.wooden-table');
-    let isPanning = false;
-    let startPanX, startPanY;
+    // Toolbar space the flipbook was last sized around
+    let layoutToolbarHeight = 0;
 
-    // Suppress context menu globally on the viewer
-    if (woodenTable) {
-        woodenTable.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-        });
+    // Presentation mode hides the toolbar and gives its space to the pages
+    function getToolbarHeight() {
+        return state.isPresenting ? 0 : 72;
     }
 
-    // Prevent right-click from triggering anything in flipbook
-    if (elements.flipbook) {
-        elements.flipbook.addEventListener('mousedown', (e) => {
-            // Allow left click for page turning, but prevent default for right click
-            if (e.button === 2) {
-                e.preventDefault();
-                // e.stopPropagation(); // Removed to allow panning
+    async function initFlipbook() {
+        const generation = loadGeneration;
+        // Get dimensions from the main viewer container, not the immediate parent
+        // This prevents the shrinking issue when toggling view modes
+        const viewerContainer = ref('viewer-container');
+        const toolbarHeight = getToolbarHeight();
+        layoutToolbarHeight = toolbarHeight;
+
+        // Always use window/viewer dimensions to calculate available space
+        const availableHeight = (viewerContainer ? viewerContainer.clientHeight : window.innerHeight) - toolbarHeight;
+        const availableWidth = viewerContainer ? viewerContainer.clientWidth : window.innerWidth;
+
+        // Size the sheets for the document's usual page shape; other pages are fitted onto them.
+        // Only a sample is measured up front - a long remote document would otherwise fetch
+        // every page before the first render - and measureRemainingPages() reads the rest.
+        if (state.pdfDoc) await measurePages(getPageSizeSample());
+        if (generation !== loadGeneration) return;
+        layoutAspectRatio = getSheetAspectRatio(state.pageSizes);
+        const aspectRatio = layoutAspectRatio || 0.714; // Fallback
+
+        // Ensure minimum dimensions
+        const maxHeight = Math.max(availableHeight, 400);
+        const maxWidth = Math.max(availableWidth, 300);
+
+        let pageWidth, pageHeight;
+
+        // Calculate page dimensions based on view mode and aspect ratio
+        if (state.isDoublePageMode) {
+            // Double-page mode: 2 pages side by side
+            // Try to fit height first
+            pageHeight = maxHeight;
+            pageWidth = pageHeight * aspectRatio;
+
+            // If width is too wide (2 pages > available width), scale down
+            if (pageWidth * 2 > maxWidth) {
+                pageWidth = maxWidth / 2;
+                pageHeight = pageWidth / aspectRatio;
             }
-        }, true);
+        } else {
+            // Single-page mode: 1 page centered
+            pageHeight = maxHeight;
+            pageWidth = pageHeight * aspectRatio;
+
+            // If width is too wide, scale down
+            if (pageWidth > maxWidth) {
+                pageWidth = maxWidth;
+                pageHeight = pageWidth / aspectRatio;
+            }
+        }
+
+        // Ensure valid dimensions (flooring to avoid subpixel rendering issues)
+        pageWidth = Math.floor(pageWidth);
+        pageHeight = Math.floor(pageHeight);
+
+        state.basePageWidth = pageWidth;
+        state.basePageHeight = pageHeight;
+
+        // Set magazine container dimensions to match book exactly
+        // This ensures page-underneath allows aligns perfectly with the pages
+        const magazineContainer = ref('magazine-container');
+        if (magazineContainer) {
+            const totalWidth = state.isDoublePageMode ? pageWidth * 2 : pageWidth;
+            magazineContainer.style.width = `${totalWidth}px`;
+            magazineContainer.style.height = `${pageHeight}px`;
+            // Ensure accurate positioning for children (page-underneath)
+            // Switch to block to avoid flex items centering behaviors interfering with absolute positioning
+            magazineContainer.style.display = 'block';
+        }
+
+        // Clear existing
+        elements.flipbook.innerHTML = '';
+
+        // Create page elements, one per sheet in flip order
+        resolvePagination();
+        state.sheets = getFlipOrder(buildSheets());
+        const pageElements = state.sheets.map(sheet => {
+            const pageDiv = document.createElement('div');
+            pageDiv.className = 'page';
+
+            // Explicitly set size
+            pageDiv.style.width = `${pageWidth}px`;
+            pageDiv.style.height = `${pageHeight}px`;
+
+            if (!sheet.pageNum) {
+                pageDiv.classList.add('page-filler');
+                return pageDiv;
+            }
+
+            const i = sheet.pageNum;
+            pageDiv.dataset.pageNum = i;
+            if (sheet.half) {
+                pageDiv.dataset.half = sheet.half;
+                pageDiv.classList.add('fold-out');
+            }
+
+            if (isBookmarked(i)) {
+                pageDiv.classList.add('bookmarked');
+            }
+
+            // Add cover classes for first and last pages
+            if (i === 1 && state.pagination.cover) {
+                pageDiv.classList.add('cover-page', 'cover-front');
+            } else if (i === state.totalPages && state.pagination.backCover) {
+                pageDiv.classList.add('cover-page', 'cover-back');
+            }
+
+            // The content box is the page itself, letterboxed on the sheet
+            // (or spanning both sheets of a fold-out, each showing its half)
+            const contentDiv = document.createElement('div');
+            contentDiv.className = 'page-content';
+            placeContentBox(contentDiv, getContentBox(i, sheet.half));
+            contentDiv.innerHTML = '<div class="loading-spinner"></div>';
+
+            // Add backside element for single-page mode (shows mirrored content)
+            if (!state.isDoublePageMode) {
+                const backsideDiv = document.createElement('div');
+                backsideDiv.className = 'page-backside';
+                pageDiv.appendChild(backsideDiv);
+            }
+
+            pageDiv.appendChild(contentDiv);
+            return pageDiv;
+        });
+        elements.flipbook.append(...pageElements);
+
+        // Initialize StPageFlip with mode-appropriate settings
+        state.pageFlip = new St.PageFlip(elements.flipbook, {
+            width: pageWidth,
+            height: pageHeight,
+            size: 'fixed', // Use fixed size to respect our exact calculations
+            minWidth: 200,
+            maxWidth: pageWidth * 2, // Allow some flexibility
+            minHeight: 280,
+            maxHeight: pageHeight * 2,
+            showCover: isFirstSheetAlone(), // see state.pagination
+            mobileScrollSupport: true,
+            // swipeDistance should be relative to page width
+            swipeDistance: state.isDoublePageMode ? pageWidth / 2 : pageWidth / 4,
+            clickEventForward: true,
+            usePortrait: !state.isDoublePageMode,
+            startPage: pageToFlipIndex(state.currentPage),
+            drawShadow: true,
+            flippingTime: 600,
+            // Without the curl, clicks and swipes are handled by setupInstantPageTurns()
+            useMouseEvents: !isReducedMotion(),
+            autoSize: true,
+            maxShadowOpacity: 0.4,
+            showPageCorners: false,
+            disableFlipByClick: false,
+        });
+
+        // Load pages
+        state.pageFlip.loadFromHTML(root.querySelectorAll('.page'));
+
+        // Event listeners
+        state.pageFlip.on('flip', (e) => {
+            const previousPage = state.currentPage;
+            // The lower page of the spread, whichever side it is on
+            state.currentPage = getSpreadForPage(flipIndexToPage(e.data))[0];
+            updatePageIndicator();
+            updateUrl();
+            renderVisiblePages();
+            updateCoverState();
+            updateFlipGuides();
+            updateContentsHighlight();
+            updateThumbnailHighlight();
+            updateBookmarkButton();
+            followReadAloud();
+            announcePage();
+            renderReadingView();
+            updatePresenterHud();
+            trackPageTurn(previousPage);
+            saveReadingProgress();
+            emitViewerEvent('pagechange', { page: state.currentPage, totalPages: state.totalPages });
+        });
+
+        // Pre-render upcoming pages when flip starts and show page underneath
+        state.pageFlip.on('changeState', (e) => {
+            if (e.data === 'flipping' || e.data === 'user_fold' || e.data === 'fold_corner') {
+                // When flipping starts, show the next page underneath
+                if (state.isDoublePageMode) {
+                    showPageUnderneath();
+                }
+
+                // Render the neighbouring spreads before the flip reveals them
+                renderVisiblePages(flipIndexToPage(state.pageFlip.getCurrentPageIndex()));
+            }
+
+            if (e.data === 'read') {
+                // Hide the underneath page when flip completes
+                hidePageUnderneath();
+            }
+        });
+
+        function showPageUnderneath() {
+            // The outer page of the next spread, which the turning page uncovers:
+            // from [2,3] that is 5 of [4,5] - on the right, or on the left in a right-to-left book
+            const spreads = getSpreads();
+            const nextSpread = spreads[spreads.findIndex(pages => pages.includes(state.currentPage)) + 1];
+            if (!nextSpread || nextSpread.length < 2) return;
+            const nextOuterPageNum = nextSpread[1];
+
+            // Find or create the underneath preview element
+            let underneathEl = ref('page-underneath');
+            if (!underneathEl) {
+                underneathEl = document.createElement('div');
+                underneathEl.dataset.ref = 'page-underneath';
+                underneathEl.className = 'page-underneath';
+                const magazineContainer = ref('magazine-container');
+                magazineContainer.appendChild(underneathEl);
+            }
+
+            // Get the next page's canvas content
+            const nextPageEl = root.querySelector(`.page[data-page-num="${nextOuterPageNum}"]`);
+            if (nextPageEl) {
+                const canvas = nextPageEl.querySelector('canvas');
+                if (canvas) {
+                    underneathEl.innerHTML = '';
+                    const clonedCanvas = canvas.cloneNode(true);
+                    clonedCanvas.getContext('2d').drawImage(canvas, 0, 0);
+                    underneathEl.appendChild(clonedCanvas);
+                    underneathEl.style.display = 'block';
+                }
+            }
+        }
+
+        function hidePageUnderneath() {
+            const underneathEl = ref('page-underneath');
+            if (underneathEl) {
+                underneathEl.style.display = 'none';
+            }
+        }
+
+        state.pageFlip.on('changeOrientation', () => {
+            updateCreaseVisibility();
+        });
+
+        // Set initial cover state
+        updateCoverState();
+
+        // Set initial cover state
+        updateCoverState();
+        updateBookmarkButton();
+
+        // Render the current spread first so the viewer can be shown right away,
+        // then fill in the rest of the window in the background
+        const startPage = flipIndexToPage(state.pageFlip.getCurrentPageIndex());
+        for (const pageNum of getSpreadForPage(startPage)) {
+            await renderPageContent(pageNum);
+            if (generation !== loadGeneration) return;
+        }
+        renderVisiblePages(startPage);
+        renderReadingView();
+    }
+
+    // Lays the open document out again (new order, sizes or StPageFlip settings) on the current page
+    async function rebuildFlipbook() {
+        destroyPageFlip();
+        state.pageCache.clear();
+        try {
+            await initFlipbook();
+        } catch (error) {
+            console.error('Error laying out pages:', error);
+            showToast('페이지를 다시 배치하지 못했습니다');
+        }
+    }
+
+    // PageFlip.destroy() also removes the element it was built in - put that back, emptied
+    function destroyPageFlip() {
+        if (!state.pageFlip) return;
+
+        const { parentNode, nextSibling } = elements.flipbook;
+        state.pageFlip.destroy();
+        state.pageFlip = null;
+        elements.flipbook.innerHTML = '';
+        if (parentNode) parentNode.insertBefore(elements.flipbook, nextSibling);
+    }
+
+    // ============================================
+    // Page Layout (Sheets & Spreads)
+    // ============================================
+
+    // Pending and finished size reads per document (pageNum -> Promise)
+    const pageSizeCache = new WeakMap();
+    // The usual page shape the sheets were last sized for
+    let layoutAspectRatio = null;
+
+    // A page's size at scale 1, as displayed - getViewport() applies the page's /Rotate
+    function getPageSize(pdfDoc, pageNum) {
+        if (!pageSizeCache.has(pdfDoc)) pageSizeCache.set(pdfDoc, new Map());
+        const sizes = pageSizeCache.get(pdfDoc);
+
+        if (!sizes.has(pageNum)) {
+            sizes.set(pageNum, pdfDoc.getPage(pageNum).then(page => {
+                const { width, height } = page.getViewport({ scale: 1 });
+                return { width, height };
+            }).catch(error => {
+                console.error(`Error reading size of page ${pageNum}:`, error);
+                return null;
+            }));
+        }
+        return sizes.get(pageNum);
+    }
+
+    // Fills in state.pageSizes (undefined until measured, null if unreadable) for these pages.
+    // Resolves with the pages measured by this call.
+    async function measurePages(pageNums) {
+        const pdfDoc = state.pdfDoc;
+        const unknown = pageNums.filter(pageNum => state.pageSizes[pageNum - 1] === undefined);
+        if (unknown.length === 0) return [];
+
+        const sizes = await Promise.all(unknown.map(pageNum => getPageSize(pdfDoc, pageNum)));
+        if (pdfDoc !== state.pdfDoc) return [];
+
+        return unknown.filter((pageNum, i) => {
+            if (state.pageSizes[pageNum - 1] !== undefined) return false;
+            state.pageSizes[pageNum - 1] = sizes[i];
+            return true;
+        });
+    }
+
+    // What the first layout needs: the opening pages, the page shown first, and the
+    // middle and last pages that pagination detection compares with the cover
+    function getPageSizeSample() {
+        const total = state.totalPages;
+        const pageNums = [1, 2, 3, state.currentPage - 1, state.currentPage, state.currentPage + 1,
+            Math.floor(total / 2) + 1, total];
+        return [...new Set(pageNums)].filter(pageNum => pageNum >= 1 && pageNum <= total);
+    }
+
+    // Reads the other page sizes once the first spread is up, and lays the sheets out
+    // again only if they turn up a fold-out or change the usual page shape or pagination
+    async function measureRemainingPages() {
+        const pdfDoc = state.pdfDoc;
+        for (let start = 1; start <= state.totalPages; start += PAGE_SIZE_BATCH) {
+            const pageNums = Array.from(
+                { length: Math.min(PAGE_SIZE_BATCH, state.totalPages - start + 1) },
+                (_, i) => start + i
+            );
+            await measurePages(pageNums);
+            if (pdfDoc !== state.pdfDoc) return;
+        }
+        relayoutIfStale();
+    }
+
+    // Whether the sheets on screen differ from the ones the known page sizes call for
+    function isLayoutStale() {
+        if (getSheetAspectRatio(state.pageSizes) !== layoutAspectRatio) return true;
+        const sheets = getFlipOrder(buildSheets(detectPagination(state.paginationOverrides)));
+        return JSON.stringify(sheets) !== JSON.stringify(state.sheets);
+    }
+
+    // Waits out a page turn in progress - rebuilding under it would drop the page mid-flip
+    function relayoutIfStale() {
+        if (!state.pageFlip || !isLayoutStale()) return;
+        if (state.pageFlip.getState() !== 'read') {
+            relayoutIfStaleSoon();
+            return;
+        }
+        rebuildFlipbook();
+    }
+
+    const relayoutIfStaleSoon = debounce(relayoutIfStale, 300);
+
+    // The most common page shape, which the sheets take
+    function getSheetAspectRatio(sizes) {
+        const counts = new Map();
+        sizes.forEach(size => {
+            if (!size) return;
+            const aspect = Math.round(size.width / size.height * 100) / 100;
+            counts.set(aspect, (counts.get(aspect) || 0) + 1);
+        });
+        const [common] = [...counts].sort((a, b) => b[1] - a[1]);
+        return common ? common[0] : null;
+    }
+
+    // A landscape page about twice as wide as the sheets: a fold-out or a spread saved as one page
+    function isFoldOut(pageNum) {
+        const size = state.pageSizes[pageNum - 1];
+        if (!size) return false;
+        return size.width / size.height >= (state.basePageWidth / state.basePageHeight) * FOLD_OUT_MIN_RATIO;
+    }
+
+    // Flipbook sheets in reading order, laid out for the pagination options. After a lone cover
+    // the sheets pair up into spreads, and in double-page mode blank sheets keep the layout:
+    // - a fold-out fills both sheets of a spread (half: which side of the page each shows),
+    //   moving to the next spread when it would start on the second sheet of one
+    // - blankAfterCover puts a blank after page 1
+    // - a back cover moves to a spread of its own; without one the last page faces a blank
+    function buildSheets(pagination = state.pagination) {
+        const { cover, blankAfterCover, backCover } = pagination;
+        const double = state.isDoublePageMode;
+        const sheets = [];
+        const isSecondSheet = () => (sheets.length - (cover ? 1 : 0)) % 2 === 1;
+
+        for (let pageNum = 1; pageNum <= state.totalPages; pageNum++) {
+            if (double && !(cover && pageNum === 1) && isFoldOut(pageNum)) {
+                if (isSecondSheet()) sheets.push({ pageNum: null });
+                // The first sheet read is on the right in a right-to-left book
+                const halves = state.isRtl ? ['right', 'left'] : ['left', 'right'];
+                halves.forEach(half => sheets.push({ pageNum, half }));
+            } else {
+                const isBackCover = backCover && pageNum > 1 && pageNum === state.totalPages;
+                if (double && isBackCover && isSecondSheet()) sheets.push({ pageNum: null });
+                sheets.push({ pageNum, half: null });
+            }
+
+            if (double && blankAfterCover && pageNum === 1) sheets.push({ pageNum: null });
+        }
+
+        if (double && !backCover && isSecondSheet()) sheets.push({ pageNum: null });
+        return sheets;
+    }
+
+    // StPageFlip always binds on the left, so a right-to-left book is loaded back to front
+    function getFlipOrder(sheets) {
+        return state.isRtl ? [...sheets].reverse() : sheets;
+    }
+
+    // Whether StPageFlip shows its first sheet on its own (its showCover setting): the cover,
+    // or in a right-to-left book whatever ends the book alone
+    function isFirstSheetAlone() {
+        const { cover } = state.pagination;
+        if (!state.isRtl) return cover;
+        return (state.sheets.length - (cover ? 1 : 0)) % 2 === 1;
+    }
+
+    // Where a page sits on its sheet at zoom 1: fitted and centred, or for a fold-out fitted
+    // across both sheets and shifted so this sheet shows its half
+    function getContentBox(pageNum, half = null) {
+        const size = state.pageSizes[pageNum - 1]
+            || { width: state.basePageWidth, height: state.basePageHeight };
+        const areaWidth = half ? state.basePageWidth * 2 : state.basePageWidth;
+        const scale = Math.min(areaWidth / size.width, state.basePageHeight / size.height);
+        const width = Math.floor(size.width * scale);
+        const height = Math.floor(size.height * scale);
+
+        let left = Math.round((areaWidth - width) / 2);
+        if (half === 'right') left -= state.basePageWidth;
+        return { width, height, left, top: Math.round((state.basePageHeight - height) / 2) };
+    }
+
+    function placeContentBox(contentDiv, box) {
+        contentDiv.style.width = `${box.width}px`;
+        contentDiv.style.height = `${box.height}px`;
+        contentDiv.style.left = `${box.left}px`;
+        contentDiv.style.top = `${box.top}px`;
+    }
+
+    // ============================================
+    // Windowed Page Rendering
+    // ============================================
+
+    let renderGeneration = 0;
+    const pendingPageRenders = new WeakMap();
+
+    function getSpreadForPage(pageNum) {
+        return getSpreads().find(pages => pages.includes(pageNum)) || [pageNum];
+    }
+
+    // Pages to keep rendered around a page, ordered by priority:
+    // current spread, next, previous, then further out
+    function getRenderWindow(centerPage) {
+        const spreads = getSpreads();
+        const centerIndex = Math.max(0, spreads.findIndex(pages => pages.includes(centerPage)));
+        const windowPages = [...spreads[centerIndex]];
+
+        for (let step = 1; step <= Math.max(RENDER_SPREADS_AHEAD, RENDER_SPREADS_BEHIND); step++) {
+            if (step <= RENDER_SPREADS_AHEAD && spreads[centerIndex + step]) {
+                windowPages.push(...spreads[centerIndex + step]);
+            }
+            if (step <= RENDER_SPREADS_BEHIND && spreads[centerIndex - step]) {
+                windowPages.push(...spreads[centerIndex - step]);
+            }
+        }
+        return windowPages;
+    }
+
+    async function renderVisiblePages(centerPage = state.currentPage) {
+        if (!state.pageFlip) return;
+
+        const generation = ++renderGeneration;
+        const windowPages = getRenderWindow(centerPage);
+
+        for (const pageNum of windowPages) {
+            // A newer flip has moved the window - let that pass take over
+            if (generation !== renderGeneration) return;
+            await renderPageContent(pageNum);
+        }
+
+        evictDistantPages(new Set(windowPages));
+    }
+
+    // Drop rendered pages outside the window, farthest first, until under the memory budget
+    function evictDistantPages(keepPages) {
+        const budget = state.isMobile ? PAGE_MEMORY_BUDGET_MOBILE : PAGE_MEMORY_BUDGET_DESKTOP;
+        const rendered = [];
+        let totalBytes = 0;
+
+        elements.flipbook.querySelectorAll('.page').forEach(pageElement => {
+            let bytes = 0;
+            pageElement.querySelectorAll('canvas').forEach(canvas => {
+                bytes += canvas.width * canvas.height * 4;
+            });
+            if (bytes === 0) return;
+
+            totalBytes += bytes;
+            rendered.push({ pageNum: parseInt(pageElement.dataset.pageNum), pageElement, bytes });
+        });
+
+        if (totalBytes <= budget) return;
+
+        rendered.sort((a, b) =>
+            Math.abs(b.pageNum - state.currentPage) - Math.abs(a.pageNum - state.currentPage));
+
+        for (const entry of rendered) {
+            if (totalBytes <= budget) break;
+            if (keepPages.has(entry.pageNum)) continue;
+
+            unloadPage(entry.pageNum, entry.pageElement);
+            totalBytes -= entry.bytes;
+        }
+    }
+
+    function unloadPage(pageNum, pageElement) {
+        pageElement.querySelectorAll('canvas').forEach(canvas => {
+            // Zero-size canvases release their backing store immediately (notably on iOS Safari)
+            canvas.width = 0;
+            canvas.height = 0;
+        });
+
+        pageElement.querySelector('.page-content').innerHTML = '<div class="loading-spinner"></div>';
+        const backsideDiv = pageElement.querySelector('.page-backside');
+        if (backsideDiv) backsideDiv.innerHTML = '';
+
+        for (const key of state.pageCache.keys()) {
+            if (key.startsWith(`${pageNum}-`)) {
+                state.pageCache.delete(key);
+            }
+        }
+    }
+
+    // A fold-out has two sheets; both are drawn
+    function renderPageContent(pageNum) {
+        const pageElements = elements.flipbook.querySelectorAll(`.page[data-page-num="${pageNum}"]`);
+
+        return Promise.all([...pageElements].map(pageElement => {
+            // Share a render already in flight for this page element
+            if (pendingPageRenders.has(pageElement)) {
+                return pendingPageRenders.get(pageElement);
+            }
+
+            const promise = drawPageContent(pageNum, pageElement).finally(() => {
+                pendingPageRenders.delete(pageElement);
+            });
+            pendingPageRenders.set(pageElement, promise);
+            return promise;
+        }));
+    }
+
+    async function drawPageContent(pageNum, pageElement) {
+        const contentDiv = pageElement.querySelector('.page-content');
+        if (contentDiv.querySelector('canvas')) return; // Already rendered
+
+        // The sheets were laid out before every page was measured: fit this one now it is.
+        // A fold-out still shows on one sheet until measureRemainingPages() lays them out again.
+        await measurePages([pageNum]);
+        if (!pageElement.isConnected) return;
+
+        const box = getContentBox(pageNum, pageElement.dataset.half);
+        placeContentBox(contentDiv, box);
+        const { width, height } = box;
+
+        let canvas = await renderPage(pageNum, width, height);
+        // The other half of a fold-out already shows this render
+        if (canvas.isConnected) canvas = copyCanvas(canvas);
+        contentDiv.innerHTML = '';
+        contentDiv.appendChild(canvas);
+
+        // Add text layer for selection, copy and search highlighting
+        await addTextLayer(pageNum, contentDiv, width);
+
+        // Clickable links above the text
+        await addLinkLayer(pageNum, contentDiv);
+
+        // The reader's highlights, notes and ink
+        addAnnotationLayers(pageNum, contentDiv);
+
+        // For single-page mode, clone canvas to backside for mirrored effect
+        const backsideDiv = pageElement.querySelector('.page-backside');
+        if (backsideDiv && !state.isDoublePageMode) {
+            const clonedCanvas = canvas.cloneNode(true);
+            // Copy canvas content
+            const ctx = clonedCanvas.getContext('2d');
+            ctx.drawImage(canvas, 0, 0);
+            backsideDiv.innerHTML = '';
+            backsideDiv.appendChild(clonedCanvas);
+        }
+    }
+
+    // Selectable text over the canvas, laid out by PDF.js's own text-layer renderer.
+    // It is sized for zoom 1; state.zoom is a CSS transform on the container, so it scales along.
+    async function addTextLayer(pageNum, container, width) {
+        try {
+            const page = await state.pdfDoc.getPage(pageNum);
+            const nativeViewport = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: width / nativeViewport.width });
+
+            const textContent = await page.getTextContent();
+
+            // Create text layer container
+            const textLayerDiv = document.createElement('div');
+            textLayerDiv.className = 'text-layer';
+            textLayerDiv.dataset.pageNum = pageNum;
+            // PDF.js sizes the layer and its glyphs from this variable
+            textLayerDiv.style.setProperty('--scale-factor', viewport.scale);
+
+            const textDivs = [];
+            await pdfjsLib.renderTextLayer({
+                textContentSource: textContent,
+                container: textLayerDiv,
+                viewport,
+                textDivs,
+            }).promise;
+
+            // One span per text item, in the same order as buildPageText()
+            textDivs.forEach((textDiv, index) => {
+                textDiv.dataset.itemIndex = index;
+            });
+
+            // Catches drags past the last line so the selection doesn't jump (as in the PDF.js viewer)
+            const endOfContent = document.createElement('div');
+            endOfContent.className = 'end-of-content';
+            textLayerDiv.appendChild(endOfContent);
+
+            container.appendChild(textLayerDiv);
+
+            // Pages render lazily, so mark matches (and the spoken sentence) as each layer appears
+            highlightTextLayer(textLayerDiv);
+        } catch (error) {
+            console.error(`Error adding text layer for page ${pageNum}:`, error);
+        }
+    }
+
+    // ============================================
+    // Zoom and Pan Controls
+    // ============================================
+
+    function setupZoomPanControls() {
+        const magazineContainer = ref('magazine-container');
+        const woodenTable = root.querySelector('.wooden-table');
+        let isPanning = false;
+        let startPanX, startPanY;
+
+        // Suppress context menu globally on the viewer
+        if (woodenTable) {
+            woodenTable.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+            });
+        }
+
+        // Prevent right-click from triggering anything in flipbook
+        if (elements.flipbook) {
+            elements.flipbook.addEventListener('mousedown', (e) => {
+                // Allow left click for page turning, but prevent default for right click
+                if (e.button === 2) {
+                    e.preventDefault();
+                    // e.stopPropagation(); // Removed to allow panning
+                }
+            }, true);
+
+            elements.flipbook.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+            }, true);
+        }
+
+        // Mouse wheel zoom
+        woodenTable.addEventListener('wheel', (e) => {
+            // Ctrl+Wheel is standard for browser zoom, but here we want to hijack it?
+            // Or just simple wheel.
+            // Let's support simple wheel for zoom like a map
+            e.preventDefault();
+
+            const zoomSpeed = 0.15;
+            const delta = e.deltaY > 0 ? -zoomSpeed : zoomSpeed;
+            const newZoom = Math.min(Math.max(state.zoom + delta, state.minZoom), state.maxZoom);
+
+            if (state.zoom !== newZoom) {
+                state.zoom = newZoom;
+                updateTransform();
+                triggerHighResRender();
+            }
+        }, { passive: false });
+
+        // Panning (Right Mouse Button)
+        woodenTable.addEventListener('mousedown', (e) => {
+            if (e.button === 2) { // Right mouse button
+                e.stopPropagation();
+                isPanning = true;
+                // Record start position relative to current pan
+                startPanX = e.clientX - state.panX;
+                startPanY = e.clientY - state.panY;
+
+                magazineContainer.style.cursor = 'grabbing';
+                e.preventDefault();
+            }
+        }, true);
+
+        // Capture mouseup on the table to stop propagation if we were panning with right click
+        woodenTable.addEventListener('mouseup', (e) => {
+            if (e.button === 2 && isPanning) {
+                e.stopPropagation();
+                isPanning = false;
+                magazineContainer.style.cursor = 'grab';
+            }
+        }, true);
+
+        document.addEventListener('mousemove', (e) => {
+            if (!isPanning) return;
+
+            e.preventDefault();
+            state.panX = e.clientX - startPanX;
+            state.panY = e.clientY - startPanY;
+            updateTransform();
+        }, { signal });
+
+        document.addEventListener('mouseup', (e) => {
+            if (e.button === 2 && isPanning) {
+                isPanning = false;
+                magazineContainer.style.cursor = 'grab';
+            }
+        }, { signal });
+
+        // Mobile pinch-zoom + Two-finger Pan support
+        let initialPinchDistance = 0;
+        let initialPinchZoom = 1;
+        let initialPinchCenter = { x: 0, y: 0 };
+        let initialPanState = { x: 0, y: 0 };
+
+        magazineContainer.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 2) {
+                // Stop propagation to prevent page flip engine from interpreting this as a swipe
+                e.stopPropagation();
+
+                initialPinchDistance = getDistance(e.touches[0], e.touches[1]);
+                initialPinchZoom = state.zoom;
+                initialPinchCenter = getCenter(e.touches[0], e.touches[1]);
+                initialPanState = { x: state.panX, y: state.panY };
+            }
+        }, { passive: false }); // passive: false needed to allow preventDefault? Actually capture is better?
+
+        magazineContainer.addEventListener('touchmove', (e) => {
+            if (e.touches.length === 2) {
+                e.preventDefault(); // Prevent browser zoom/scroll
+                e.stopPropagation(); // Prevent page flip
+
+                // 1. PINCH ZOOM
+                const distance = getDistance(e.touches[0], e.touches[1]);
+                if (initialPinchDistance > 0) {
+                    const scale = distance / initialPinchDistance;
+                    state.zoom = Math.min(Math.max(initialPinchZoom * scale, state.minZoom), state.maxZoom);
+                }
+
+                // 2. TWO-FINGER PAN
+                const currentCenter = getCenter(e.touches[0], e.touches[1]);
+                const deltaX = currentCenter.x - initialPinchCenter.x;
+                const deltaY = currentCenter.y - initialPinchCenter.y;
+
+                state.panX = initialPanState.x + deltaX;
+                state.panY = initialPanState.y + deltaY;
+
+                updateTransform();
+            } else if (state.isMobilePanMode && e.touches.length === 1) {
+                // Single finger pan in Pan Mode
+                e.preventDefault();
+                e.stopPropagation();
+                // Logic for 1-finger pan needs distinct start tracking
+                // For now, let's rely on 2-finger pan or the toggle buttons we add below
+            }
+        }, { passive: false });
+
+        function getDistance(touch1, touch2) {
+            const dx = touch1.clientX - touch2.clientX;
+            const dy = touch1.clientY - touch2.clientY;
+            return Math.sqrt(dx * dx + dy * dy);
+        }
+
+        function getCenter(touch1, touch2) {
+            return {
+                x: (touch1.clientX + touch2.clientX) / 2,
+                y: (touch1.clientY + touch2.clientY) / 2
+            };
+        }
+
+        // Double-click to toggle zoom (double-clicking text selects a word instead)
+        elements.flipbook.addEventListener('dblclick', (e) => {
+            if (e.target.closest('.text-layer')) return;
+            toggleZoom();
+        });
+    }
+
+    // ============================================
+    // Links (PDF Link Annotations)
+    // ============================================
+
+    // Link rectangles are placed in percent of the page, so they follow the page
+    // through zoom and survive renderPageHighRes() swapping the canvas underneath.
+    async function addLinkLayer(pageNum, container) {
+        try {
+            const pdfDoc = state.pdfDoc;
+            const page = await pdfDoc.getPage(pageNum);
+            const annotations = await page.getAnnotations({ intent: 'display' });
+            const links = annotations.filter(annotation => annotation.subtype === 'Link');
+            if (links.length === 0 || state.pdfDoc !== pdfDoc) return;
+
+            const viewport = page.getViewport({ scale: 1 });
+            const linkLayerDiv = document.createElement('div');
+            linkLayerDiv.className = 'link-layer';
+
+            links.forEach(annotation => {
+                const link = createLinkElement(annotation);
+                if (!link) return;
+                link.addEventListener('click', () => {
+                    trackEvent('link', { page: pageNum, url: annotation.url || null });
+                });
+
+                const [x1, y1, x2, y2] = pdfjsLib.Util.normalizeRect(
+                    viewport.convertToViewportRectangle(annotation.rect)
+                );
+                link.style.left = `${(x1 / viewport.width) * 100}%`;
+                link.style.top = `${(y1 / viewport.height) * 100}%`;
+                link.style.width = `${((x2 - x1) / viewport.width) * 100}%`;
+                link.style.height = `${((y2 - y1) / viewport.height) * 100}%`;
+
+                linkLayerDiv.appendChild(link);
+            });
+
+            if (linkLayerDiv.childElementCount > 0) {
+                container.appendChild(linkLayerDiv);
+            }
+        } catch (error) {
+            console.error('Error creating link layer:', error);
+        }
+    }
+
+    function createLinkElement(annotation) {
+        const link = document.createElement('a');
+
+        // External URI (PDF.js has already dropped unsafe protocols)
+        if (annotation.url) {
+            link.href = annotation.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.title = annotation.url;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                openExternalLink(annotation.url);
+            });
+            return link;
+        }
+
+        // Internal GoTo destination
+        if (annotation.dest) {
+            link.href = '#';
+            link.addEventListener('click', async (e) => {
+                e.preventDefault();
+                const pageNum = await resolveDestPage(annotation.dest);
+                if (pageNum) goToPage(pageNum);
+            });
+            return link;
+        }
+
+        // Named actions (next/previous/first/last page)
+        if (annotation.action) {
+            const targets = {
+                NextPage: () => state.currentPage + 1,
+                PrevPage: () => state.currentPage - 1,
+                FirstPage: () => 1,
+                LastPage: () => state.totalPages,
+            };
+            const target = targets[annotation.action];
+            if (!target) return null;
+
+            link.href = '#';
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                goToPage(target());
+            });
+            return link;
+        }
+
+        return null;
+    }
+
+    function openExternalLink(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return;
+        }
+
+        const isWebLink = parsed.protocol === 'https:' || parsed.protocol === 'http:';
+        if (isWebLink && !TRUSTED_LINK_HOSTS.includes(parsed.hostname)) {
+            if (!window.confirm(`외부 사이트로 이동합니다.\n${parsed.hostname}\n\n계속할까요?`)) return;
+        }
+
+        window.open(parsed.href, '_blank', 'noopener,noreferrer');
+    }
+
+    // ============================================
+    // Annotations (Highlights, Notes, Ink)
+    // ============================================
+
+    // Positions are stored as fractions of the page box, so annotations follow the page
+    // through zoom, high-res canvas swaps and flipbook re-initialization.
+    //   highlight: { rects: [[x, y, w, h], ...], text }
+    //   note:      { x, y, text }
+    //   ink:       { points: [[x, y], ...], width }
+    // plus { id, type, page, color, createdAt } on each.
+
+    function setupAnnotations() {
+        elements.btnAnnotate.addEventListener('click', () => toggleAnnotationMode());
+        elements.annotationToolButtons.forEach(button => {
+            button.addEventListener('click', () => setAnnotationTool(button.dataset.tool));
+        });
+        elements.annotationColorButtons.forEach(button => {
+            button.addEventListener('click', () => setAnnotationColor(button.dataset.color));
+        });
+        elements.btnAnnotationExport.addEventListener('click', exportAnnotations);
+        elements.btnAnnotationExportPdf.addEventListener('click', exportAnnotatedPdf);
+        elements.btnAnnotationImport.addEventListener('click', () => elements.annotationImportInput.click());
+        elements.annotationImportInput.addEventListener('change', importAnnotations);
+        updateAnnotationToolbar();
+
+        // Drawing, pinning and erasing must not start a page flip (capture phase runs
+        // before StPageFlip's handlers); notes stay clickable in any mode
+        const stopOnAnnotationTarget = (e) => {
+            const drawing = ['note', 'pen', 'eraser'].includes(state.annotationTool) && e.target.closest('.page-content');
+            if (drawing || e.target.closest('.annotation-note, .note-popover')) e.stopPropagation();
+        };
+        elements.flipbook.addEventListener('mousedown', stopOnAnnotationTarget, true);
+        elements.flipbook.addEventListener('touchstart', stopOnAnnotationTarget, { capture: true, passive: true });
+
+        elements.flipbook.addEventListener('pointerdown', handleAnnotationPointerDown);
+        // Close an open note when clicking elsewhere
+        document.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.annotation-note, .note-popover')) return;
+            root.querySelectorAll('.note-popover').forEach(popover => popover.remove());
+        }, { signal });
+        document.addEventListener('mouseup', () => {
+            if (state.annotationTool !== 'highlight') return;
+            // Let the selection settle first
+            setTimeout(createHighlightFromSelection, 0);
+        }, { signal });
+
+        // On touch the selection comes from a long press and is adjusted with the handles,
+        // mostly without events reaching the page - highlight once it stops changing
+        let lastPointerType = 'mouse';
+        document.addEventListener('pointerdown', (e) => {
+            lastPointerType = e.pointerType;
+        }, { capture: true, signal });
+        document.addEventListener('selectionchange', debounce(() => {
+            if (state.annotationTool !== 'highlight' || lastPointerType === 'mouse') return;
+            createHighlightFromSelection();
+        }, 800), { signal });
+    }
+
+    function toggleAnnotationMode(force) {
+        const wasAnnotating = state.isAnnotating;
+        state.isAnnotating = typeof force === 'boolean' ? force : !state.isAnnotating;
+        if (state.isAnnotating) closeOtherBars('annotation');
+        elements.annotationBar.classList.toggle('hidden', !state.isAnnotating);
+        elements.btnAnnotate.classList.toggle('active', state.isAnnotating);
+        elements.btnAnnotate.setAttribute('aria-expanded', state.isAnnotating);
+
+        if (!state.isAnnotating) {
+            setAnnotationTool(null);
+        }
+        if (state.isAnnotating !== wasAnnotating) {
+            movePanelFocus(elements.annotationBar, state.isAnnotating, elements.btnAnnotate);
+        }
+    }
+
+    function setAnnotationTool(tool) {
+        // Clicking the active tool puts it down again
+        state.annotationTool = tool && tool !== state.annotationTool ? tool : null;
+        elements.flipbook.dataset.annotationTool = state.annotationTool || '';
+        updateAnnotationToolbar();
+    }
+
+    function setAnnotationColor(color) {
+        state.annotationColor = color;
+        updateAnnotationToolbar();
+    }
+
+    function updateAnnotationToolbar() {
+        elements.annotationToolButtons.forEach(button => {
+            const active = button.dataset.tool === state.annotationTool;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+        elements.annotationColorButtons.forEach(button => {
+            const active = button.dataset.color === state.annotationColor;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+    }
+
+    function createAnnotationId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function addAnnotation(annotation) {
+        const created = {
+            id: createAnnotationId(),
+            color: state.annotationColor,
+            createdAt: new Date().toISOString(),
+            ...annotation,
+        };
+        state.annotations.push(created);
+        saveAnnotations();
+        renderAnnotationLayers(created.page);
+        return created;
+    }
+
+    function removeAnnotation(id) {
+        const annotation = state.annotations.find(item => item.id === id);
+        if (!annotation) return;
+
+        state.annotations = state.annotations.filter(item => item.id !== id);
+        saveAnnotations();
+        renderAnnotationLayers(annotation.page);
+    }
+
+    // Fractional page coordinates of a point on screen (handles zoom/flip transforms)
+    function getPagePoint(contentDiv, clientX, clientY) {
+        const rect = contentDiv.getBoundingClientRect();
+        const round = value => Math.round(value * 10000) / 10000;
+        return {
+            x: round((clientX - rect.left) / rect.width),
+            y: round((clientY - rect.top) / rect.height),
+        };
+    }
+
+    function getPageNumOf(contentDiv) {
+        return parseInt(contentDiv.closest('.page').dataset.pageNum);
+    }
+
+    // ---- Rendering ----
+
+    // (Re)builds the annotation layers of one page element: ink and highlights sit
+    // under the text layer so text stays selectable, notes float above everything
+    function addAnnotationLayers(pageNum, contentDiv) {
+        contentDiv.querySelectorAll(':scope > .annotation-layer, :scope > .note-layer').forEach(layer => layer.remove());
+
+        const annotations = state.annotations.filter(annotation => annotation.page === pageNum);
+
+        const annotationLayer = document.createElement('div');
+        annotationLayer.className = 'annotation-layer';
+
+        const inkCanvas = document.createElement('canvas');
+        inkCanvas.className = 'annotation-ink';
+        annotationLayer.appendChild(inkCanvas);
+
+        annotations.filter(annotation => annotation.type === 'highlight').forEach(annotation => {
+            annotation.rects.forEach(([x, y, w, h]) => {
+                const mark = document.createElement('div');
+                mark.className = 'annotation-highlight';
+                mark.dataset.annotationId = annotation.id;
+                mark.style.left = `${x * 100}%`;
+                mark.style.top = `${y * 100}%`;
+                mark.style.width = `${w * 100}%`;
+                mark.style.height = `${h * 100}%`;
+                mark.style.backgroundColor = annotation.color;
+                annotationLayer.appendChild(mark);
+            });
+        });
+
+        const noteLayer = document.createElement('div');
+        noteLayer.className = 'note-layer';
+        annotations.filter(annotation => annotation.type === 'note').forEach(annotation => {
+            noteLayer.appendChild(createNotePin(annotation));
+        });
+
+        contentDiv.appendChild(annotationLayer);
+        contentDiv.appendChild(noteLayer);
+        drawInkLayer(contentDiv, pageNum);
+    }
+
+    function renderAnnotationLayers(pageNum) {
+        elements.flipbook.querySelectorAll(`.page[data-page-num="${pageNum}"] .page-content`).forEach(contentDiv => {
+            // Pages outside the render window get their layers when they are drawn
+            if (contentDiv.querySelector(':scope > canvas')) addAnnotationLayers(pageNum, contentDiv);
+        });
+    }
+
+    function renderAllAnnotationLayers() {
+        elements.flipbook.querySelectorAll('.page[data-page-num]').forEach(pageElement => {
+            renderAnnotationLayers(parseInt(pageElement.dataset.pageNum));
+        });
+    }
+
+    // Ink is drawn at the current zoom's resolution; renderPageHighRes() calls this again after zooming
+    function drawInkLayer(contentDiv, pageNum) {
+        const canvas = contentDiv.querySelector('.annotation-ink');
+        if (!canvas) return;
+
+        const dpr = window.devicePixelRatio || 1;
+        const scale = dpr * Math.max(state.zoom, 1);
+        canvas.width = Math.round(contentDiv.clientWidth * scale);
+        canvas.height = Math.round(contentDiv.clientHeight * scale);
+
+        const ctx = canvas.getContext('2d');
+        state.annotations
+            .filter(annotation => annotation.type === 'ink' && annotation.page === pageNum)
+            .forEach(annotation => drawInkStroke(ctx, annotation));
+    }
+
+    function drawInkStroke(ctx, { points, color, width }) {
+        const { width: canvasWidth, height: canvasHeight } = ctx.canvas;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width * canvasWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        ctx.beginPath();
+        points.forEach(([x, y], index) => {
+            if (index === 0) {
+                ctx.moveTo(x * canvasWidth, y * canvasHeight);
+            } else {
+                ctx.lineTo(x * canvasWidth, y * canvasHeight);
+            }
+        });
+        // A single tap leaves a dot
+        if (points.length === 1) ctx.lineTo(points[0][0] * canvasWidth + 0.01, points[0][1] * canvasHeight);
+        ctx.stroke();
+    }
+
+    function createNotePin(annotation) {
+        const pin = document.createElement('button');
+        pin.className = 'annotation-note';
+        pin.dataset.annotationId = annotation.id;
+        pin.style.left = `${annotation.x * 100}%`;
+        pin.style.top = `${annotation.y * 100}%`;
+        pin.style.setProperty('--note-color', annotation.color);
+        pin.title = annotation.text || '메모';
+        pin.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (state.annotationTool === 'eraser') {
+                removeAnnotation(annotation.id);
+            } else {
+                toggleNotePopover(pin, annotation);
+            }
+        });
+        return pin;
+    }
+
+    function toggleNotePopover(pin, annotation) {
+        const existing = pin.parentElement.querySelector(`.note-popover[data-annotation-id="${annotation.id}"]`);
+        root.querySelectorAll('.note-popover').forEach(popover => popover.remove());
+        if (existing) return;
+
+        const popover = document.createElement('div');
+        popover.className = 'note-popover';
+        popover.dataset.annotationId = annotation.id;
+        popover.style.left = pin.style.left;
+        popover.style.top = pin.style.top;
+
+        const textarea = document.createElement('textarea');
+        textarea.value = annotation.text || '';
+        textarea.placeholder = '메모를 입력하세요';
+        textarea.addEventListener('input', () => {
+            annotation.text = textarea.value;
+            pin.title = annotation.text || '메모';
+            saveAnnotationsSoon();
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'note-popover-delete';
+        deleteButton.textContent = '삭제';
+        deleteButton.addEventListener('click', () => removeAnnotation(annotation.id));
+
+        popover.appendChild(textarea);
+        popover.appendChild(deleteButton);
+        pin.parentElement.appendChild(popover);
+        textarea.focus();
+    }
+
+    // ---- Tools ----
+
+    function handleAnnotationPointerDown(e) {
+        if (e.button !== 0 || !state.annotationTool) return;
+
+        // Notes handle their own clicks
+        if (e.target.closest('.annotation-note, .note-popover')) return;
+
+        const contentDiv = e.target.closest('.page-content');
+        if (!contentDiv || !contentDiv.querySelector('.annotation-layer')) return;
+        const pageNum = getPageNumOf(contentDiv);
+
+        switch (state.annotationTool) {
+            case 'pen':
+                e.preventDefault();
+                startInkStroke(e, contentDiv, pageNum);
+                break;
+
+            case 'note': {
+                e.preventDefault();
+                const { x, y } = getPagePoint(contentDiv, e.clientX, e.clientY);
+                const note = addAnnotation({ type: 'note', page: pageNum, x, y, text: '' });
+                // Open the editor on the fresh pin
+                const pin = elements.flipbook.querySelector(`.annotation-note[data-annotation-id="${note.id}"]`);
+                if (pin) toggleNotePopover(pin, note);
+                break;
+            }
+
+            case 'eraser':
+                eraseAnnotationAt(e, contentDiv, pageNum);
+                break;
+        }
+    }
+
+    function startInkStroke(e, contentDiv, pageNum) {
+        const canvas = contentDiv.querySelector('.annotation-ink');
+        const ctx = canvas.getContext('2d');
+        const stroke = { points: [], color: state.annotationColor, width: INK_WIDTH };
+
+        const addPoint = (event) => {
+            const { x, y } = getPagePoint(contentDiv, event.clientX, event.clientY);
+            stroke.points.push([x, y]);
+            // Draw just the newest segment while the pen moves
+            drawInkStroke(ctx, { ...stroke, points: stroke.points.slice(-2) });
+        };
+
+        const onMove = (event) => addPoint(event);
+        const onUp = () => {
+            window.removeEventListener('pointermove', onMove);
+            window.removeEventListener('pointerup', onUp);
+            window.removeEventListener('pointercancel', onUp);
+            addAnnotation({ type: 'ink', page: pageNum, ...stroke });
+        };
+
+        addPoint(e);
+        window.addEventListener('pointermove', onMove);
+        window.addEventListener('pointerup', onUp);
+        window.addEventListener('pointercancel', onUp);
+    }
+
+    function eraseAnnotationAt(e, contentDiv, pageNum) {
+        const target = e.target.closest('.annotation-highlight');
+        if (target) {
+            removeAnnotation(target.dataset.annotationId);
+            return;
+        }
+
+        // Nearest ink stroke passing close to the point
+        const { x, y } = getPagePoint(contentDiv, e.clientX, e.clientY);
+        const hitDistance = 0.015;
+        const stroke = state.annotations.find(annotation =>
+            annotation.type === 'ink' && annotation.page === pageNum &&
+            annotation.points.some(([px, py]) => Math.hypot(px - x, py - y) < hitDistance)
+        );
+        if (stroke) removeAnnotation(stroke.id);
+    }
+
+    // Turns the current text-layer selection into one highlight per page it touches
+    function createHighlightFromSelection() {
+        const selection = getTextLayerSelection();
+        if (!selection) return;
+
+        const text = selection.toString().trim();
+        if (!text) return;
+
+        const contentDivs = [...elements.flipbook.querySelectorAll('.page-content')]
+            .map(contentDiv => ({ contentDiv, rect: contentDiv.getBoundingClientRect() }))
+            .filter(({ rect }) => rect.width > 0);
+
+        const rectsByPage = new Map();
+        for (const rect of selection.getRangeAt(0).getClientRects()) {
+            if (rect.width < 1 || rect.height < 1) continue;
+
+            const centerX = rect.left + rect.width / 2;
+            const centerY = rect.top + rect.height / 2;
+            const page = contentDivs.find(({ rect: pageRect }) =>
+                centerX >= pageRect.left && centerX <= pageRect.right &&
+                centerY >= pageRect.top && centerY <= pageRect.bottom
+            );
+            if (!page) continue;
+
+            const pageNum = getPageNumOf(page.contentDiv);
+            const topLeft = getPagePoint(page.contentDiv, rect.left, rect.top);
+            const bottomRight = getPagePoint(page.contentDiv, rect.right, rect.bottom);
+            const fraction = [topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y];
+
+            if (!rectsByPage.has(pageNum)) rectsByPage.set(pageNum, []);
+            const rects = rectsByPage.get(pageNum);
+            // Element boxes and text boxes of the same span can both show up
+            if (!rects.some(existing => existing.every((value, i) => value === fraction[i]))) {
+                rects.push(fraction);
+            }
+        }
+
+        rectsByPage.forEach((rects, pageNum) => {
+            addAnnotation({ type: 'highlight', page: pageNum, rects, text });
+        });
+
+        selection.removeAllRanges();
+        elements.btnCopySelection.classList.add('hidden');
+    }
+
+    // ---- Storage ----
+
+    function loadAnnotations() {
+        state.annotations = [];
+        if (!state.fingerprint) return;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(ANNOTATIONS_KEY_PREFIX + state.fingerprint));
+            // Data saved from an earlier, unchecked import may not draw
+            state.annotations = Array.isArray(stored) ? stored.filter(isValidAnnotation) : [];
+        } catch (error) {
+            console.error('Error reading annotations:', error);
+        }
+    }
+
+    function saveAnnotations() {
+        if (!state.fingerprint) return;
+
+        const key = ANNOTATIONS_KEY_PREFIX + state.fingerprint;
+        try {
+            if (state.annotations.length > 0) {
+                localStorage.setItem(key, JSON.stringify(state.annotations));
+            } else {
+                localStorage.removeItem(key);
+            }
+        } catch (error) {
+            console.error('Error saving annotations:', error);
+            showToast('저장 공간이 부족해 주석을 저장하지 못했습니다');
+        }
+    }
+
+    const saveAnnotationsSoon = debounce(() => saveAnnotations(), 500);
+
+    function exportAnnotations() {
+        if (state.annotations.length === 0) {
+            showToast('내보낼 주석이 없습니다');
+            return;
+        }
+
+        const data = {
+            version: ANNOTATIONS_EXPORT_VERSION,
+            fingerprint: state.fingerprint,
+            source: state.sourceUrl,
+            exportedAt: new Date().toISOString(),
+            annotations: state.annotations,
+        };
+
+        const name = state.sourceUrl
+            ? state.sourceUrl.split('/').pop().replace(/\.pdf$/i, '')
+            : 'document';
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `${name}.annotations.json`);
+    }
+
+    async function importAnnotations(e) {
+        const file = e.target.files[0];
+        // Reset input so the same file can be picked again
+        e.target.value = '';
+        if (!file || !state.pdfDoc) return;
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            showToast('주석 파일을 읽을 수 없습니다');
+            return;
+        }
+
+        if (!data || !Array.isArray(data.annotations)) {
+            showToast('주석 파일 형식이 올바르지 않습니다');
+            return;
+        }
+        if (data.fingerprint && data.fingerprint !== state.fingerprint &&
+            !window.confirm('다른 문서에서 내보낸 주석입니다. 그래도 가져올까요?')) {
+            return;
+        }
+
+        const imported = data.annotations.filter(isValidAnnotation);
+        // Same id means the same annotation - the imported copy wins
+        const importedIds = new Set(imported.map(annotation => annotation.id));
+        state.annotations = [
+            ...state.annotations.filter(annotation => !importedIds.has(annotation.id)),
+            ...imported,
+        ];
+
+        saveAnnotations();
+        renderAllAnnotationLayers();
+        showToast(`주석 ${imported.length}개를 가져왔습니다`);
+    }
+
+    function isValidAnnotation(annotation) {
+        // Colors go into the exported PDF as #rrggbb channels
+        if (!annotation || typeof annotation.id !== 'string' || !/^#[0-9a-f]{6}$/i.test(annotation.color)) return false;
+        if (!Number.isInteger(annotation.page) || annotation.page < 1 || annotation.page > state.totalPages) return false;
+
+        switch (annotation.type) {
+            case 'highlight':
+                return Array.isArray(annotation.rects) && annotation.rects.every(rect => isNumberTuple(rect, 4));
+            case 'note':
+                return Number.isFinite(annotation.x) && Number.isFinite(annotation.y);
+            case 'ink':
+                return Array.isArray(annotation.points) && annotation.points.every(point => isNumberTuple(point, 2))
+                    && Number.isFinite(annotation.width) && annotation.width > 0;
+            default:
+                return false;
+        }
+    }
+
+    // Imported rects and points are drawn as-is, so anything else would throw while rendering
+    function isNumberTuple(value, length) {
+        return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+    }
+
+    // ============================================
+    // Annotated PDF Export
+    // ============================================
+
+    // Writes the annotations into a copy of the loaded document as standard PDF
+    // annotations (Highlight, Text, Ink), each with an appearance stream so every
+    // viewer draws them the same way.
+    async function exportAnnotatedPdf() {
+        if (!state.pdfDoc) return;
+        if (state.annotations.length === 0) {
+            showToast('내보낼 주석이 없습니다');
+            return;
+        }
+
+        showLoading('PDF 만드는 중...');
+
+        try {
+            await loadScript(PDF_LIB_SRC);
+            const bytes = await state.pdfDoc.getData();
+            const pdf = await PDFLib.PDFDocument.load(bytes, { updateMetadata: false });
+
+            // PDF.js viewports map our page fractions to PDF space, honouring CropBox and /Rotate
+            const viewports = new Map();
+            for (const annotation of state.annotations) {
+                if (!viewports.has(annotation.page)) {
+                    const page = await state.pdfDoc.getPage(annotation.page);
+                    viewports.set(annotation.page, page.getViewport({ scale: 1 }));
+                }
+
+                const dict = createPdfAnnotation(pdf, annotation, viewports.get(annotation.page));
+                pdf.getPage(annotation.page - 1).node.addAnnot(pdf.context.register(dict));
+            }
+
+            const output = await pdf.save();
+            const name = state.sourceUrl
+                ? state.sourceUrl.split('/').pop().replace(/\.pdf$/i, '')
+                : 'document';
+            downloadBlob(new Blob([output], { type: 'application/pdf' }), `${name}-annotated.pdf`);
+            hideLoading();
+
+        } catch (error) {
+            console.error('Error exporting annotated PDF:', error);
+            hideLoading();
+            showToast(error && error.name === 'EncryptedPDFError'
+                ? '암호화된 PDF에는 주석을 넣을 수 없습니다'
+                : 'PDF를 내보내지 못했습니다');
+        }
+    }
+
+    function createPdfAnnotation(pdf, annotation, viewport) {
+        const { PDFHexString, PDFString } = PDFLib;
+        const toPdfPoint = (x, y) => viewport.convertToPdfPoint(x * viewport.width, y * viewport.height);
+        const color = hexToPdfColor(annotation.color);
+        const rgb = color.map(formatPdfNumber).join(' ');
+
+        const common = {
+            Type: 'Annot',
+            NM: PDFString.of(annotation.id),
+            M: PDFString.fromDate(new Date(annotation.createdAt || Date.now())),
+            C: color,
+            F: 4, // Print
+        };
+
+        switch (annotation.type) {
+            case 'highlight': {
+                // [left, bottom, right, top] per marked rectangle
+                const boxes = annotation.rects.map(([x, y, w, h]) => {
+                    const [x1, y1] = toPdfPoint(x, y);
+                    const [x2, y2] = toPdfPoint(x + w, y + h);
+                    return [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+                });
+                const rect = unionPdfBoxes(boxes);
+                const ops = boxes
+                    .map(([l, b, r, t]) => `${formatPdfNumber(l)} ${formatPdfNumber(b)} ${formatPdfNumber(r - l)} ${formatPdfNumber(t - b)} re`)
+                    .join('\n');
+
+                return pdf.context.obj({
+                    ...common,
+                    Subtype: 'Highlight',
+                    Rect: rect,
+                    QuadPoints: boxes.flatMap(([l, b, r, t]) => [l, t, r, t, l, b, r, b]),
+                    Contents: PDFHexString.fromText(annotation.text || ''),
+                    AP: { N: createAppearanceStream(pdf, rect, `/GS0 gs\n${rgb} rg\n${ops}\nf`, { BM: 'Multiply', ca: 0.4 }) },
+                });
+            }
+
+            case 'note': {
+                const [x, y] = toPdfPoint(annotation.x, annotation.y);
+                return pdf.context.obj({
+                    ...common,
+                    Subtype: 'Text',
+                    Rect: [x - 10, y - 10, x + 10, y + 10],
+                    Contents: PDFHexString.fromText(annotation.text || ''),
+                    Name: 'Comment',
+                    Open: false,
+                });
+            }
+
+            case 'ink': {
+                const points = annotation.points.map(([x, y]) => toPdfPoint(x, y));
+                const lineWidth = annotation.width * viewport.width;
+                const [l, b, r, t] = unionPdfBoxes(points.map(([x, y]) => [x, y, x, y]));
+                const rect = [l - lineWidth, b - lineWidth, r + lineWidth, t + lineWidth];
+                const path = points
+                    .map(([x, y], index) => `${formatPdfNumber(x)} ${formatPdfNumber(y)} ${index === 0 ? 'm' : 'l'}`)
+                    .join('\n');
+
+                return pdf.context.obj({
+                    ...common,
+                    Subtype: 'Ink',
+                    Rect: rect,
+                    InkList: [points.flat()],
+                    BS: { W: lineWidth, LC: 1 },
+                    AP: { N: createAppearanceStream(pdf, rect, `/GS0 gs\n${rgb} RG\n${formatPdfNumber(lineWidth)} w 1 J 1 j\n${path}\nS`, { CA: 1 }) },
+                });
+            }
+        }
+        return null;
+    }
+
+    // Form XObject drawn in page coordinates (BBox = annotation Rect, identity matrix)
+    function createAppearanceStream(pdf, rect, operators, graphicsState) {
+        const stream = pdf.context.stream(operators, {
+            Type: 'XObject',
+            Subtype: 'Form',
+            BBox: rect,
+            Resources: { ExtGState: { GS0: { Type: 'ExtGState', ...graphicsState } } },
+        });
+        return pdf.context.register(stream);
+    }
+
+    function unionPdfBoxes(boxes) {
+        return [
+            Math.min(...boxes.map(box => box[0])),
+            Math.min(...boxes.map(box => box[1])),
+            Math.max(...boxes.map(box => box[2])),
+            Math.max(...boxes.map(box => box[3])),
+        ];
+    }
+
+    function hexToPdfColor(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => channel / 255);
+    }
+
+    function formatPdfNumber(value) {
+        return Number(value.toFixed(3)).toString();
+    }
+
+    // ============================================
+    // Text Selection & Copy
+    // ============================================
+
+    function setupTextSelection() {
+        // StPageFlip treats a press-and-release on a page as a flip - keep it away
+        // from links. Capture phase runs before its handlers further down the tree.
+        const stopOnLink = (e) => {
+            if (e.target.closest('.link-layer a')) e.stopPropagation();
+        };
+        elements.flipbook.addEventListener('mousedown', stopOnLink, true);
+        elements.flipbook.addEventListener('touchstart', stopOnLink, { capture: true, passive: true });
+
+        // It also starts a fold (and cancels the selection) on mousedown - keep it
+        // away from presses on text.
+        elements.flipbook.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || !e.target.closest('.text-layer span')) return;
+            e.stopPropagation();
+
+            const textLayer = e.target.closest('.text-layer');
+            textLayer.classList.add('selecting');
+            document.addEventListener('mouseup', () => {
+                textLayer.classList.remove('selecting');
+            }, { once: true });
+        }, true);
+
+        // Touch keeps swiping over text; only once a long press has selected some does
+        // the gesture (and dragging the selection handles) stop reaching StPageFlip,
+        // which would otherwise take the release as a tap and turn the page
+        const stopWhileSelecting = (e) => {
+            if (getTextLayerSelection()) e.stopImmediatePropagation();
+        };
+        window.addEventListener('touchmove', stopWhileSelecting, { capture: true, passive: true, signal });
+        window.addEventListener('touchend', stopWhileSelecting, { capture: true, passive: true, signal });
+
+        document.addEventListener('selectionchange', debounce(updateCopyButton, 150), { signal });
+        elements.btnCopySelection.addEventListener('mousedown', (e) => e.preventDefault()); // keep the selection
+        elements.btnCopySelection.addEventListener('click', copySelectedText);
+    }
+
+    function getTextLayerSelection() {
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+        const anchor = selection.anchorNode;
+        const element = anchor && (anchor.nodeType === Node.ELEMENT_NODE ? anchor : anchor.parentElement);
+        if (!element || !element.closest('.text-layer') || !elements.flipbook.contains(element)) return null;
+
+        return selection;
+    }
+
+    function updateCopyButton() {
+        const selection = getTextLayerSelection();
+        if (!selection || !selection.toString().trim()) {
+            elements.btnCopySelection.classList.add('hidden');
+            return;
+        }
+
+        // Float the button just above the end of the selection
+        const rects = selection.getRangeAt(0).getClientRects();
+        const rect = rects[rects.length - 1];
+        if (!rect) return;
+
+        // Fixed positioning is relative to an embedded viewer's container, not the window
+        const origin = options.main ? { left: 0, top: 0 } : root.getBoundingClientRect();
+        elements.btnCopySelection.style.left = `${rect.right - origin.left}px`;
+        elements.btnCopySelection.style.top = `${Math.max(rect.top - origin.top - 44, 8)}px`;
+        elements.btnCopySelection.classList.remove('hidden');
+    }
+
+    function copySelectedText() {
+        const selection = getTextLayerSelection();
+        if (!selection) return;
+
+        // Text items end with line breaks in the layer; collapse runs of spaces
+        const text = selection.toString().replace(/[ \t]+/g, ' ').trim();
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text).then(() => {
+                showToast('텍스트가 복사되었습니다');
+            }).catch(() => {
+                fallbackCopyToClipboard(text, '텍스트가 복사되었습니다');
+            });
+        } else {
+            fallbackCopyToClipboard(text, '텍스트가 복사되었습니다');
+        }
+
+        selection.removeAllRanges();
+        elements.btnCopySelection.classList.add('hidden');
+    }
+
+    function updateTransform() {
+        const magazineContainer = ref('magazine-container');
+        if (!magazineContainer) return;
+
+        magazineContainer.style.transform = `translate(${state.panX}px, ${state.panY}px) scale(${state.zoom})`;
+        saveReadingProgressSoon();
+        trackZoomSoon();
+        // Only animate if we are NOT panning (panning should be instant)
+        // We can infer panning state or just leave it instant?
+        // Transition looks nice for Zoom In Click, but bad for Wheel/Pan.
+        // Let's set transition based on source? Hard to pass.
+        // Default to fast/none for responsiveness.
+        // Or set strictly in CSS and remove inline?
+        // Let's use simple logic:
+        magazineContainer.style.transition = 'none';
+        // If we want smooth zoom for buttons, we can add class or handle it.
+    }
+
+    function toggleZoom() {
+        if (state.zoom === 1) {
+            state.zoom = 1.8;
+            // Optionally center on click? For now, simple center zoom
+            state.panX = 0;
+            state.panY = 0;
+        } else {
+            state.zoom = 1;
+            state.panX = 0;
+            state.panY = 0;
+        }
+        updateTransform();
+    }
+
+    // ============================================
+    // Navigation
+    // ============================================
+
+    // StPageFlip counts sheets in the order they were loaded (see getFlipOrder())
+    function pageToFlipIndex(pageNum) {
+        return Math.max(state.sheets.findIndex(sheet => sheet.pageNum === pageNum), 0);
+    }
+
+    // A blank sheet belongs to the page facing it
+    function flipIndexToPage(index) {
+        const start = isFirstSheetAlone() ? 1 : 0;
+        const facing = (index - start) % 2 === 0 ? index + 1 : index - 1;
+        const sheet = [index, facing, index + 1, index - 1]
+            .map(i => state.sheets[i])
+            .find(candidate => candidate && candidate.pageNum);
+        return sheet ? sheet.pageNum : 1;
+    }
+
+    // Turns toward the flipbook's start (left) or end (right)
+    function turnFlipbook(forward) {
+        if (!state.pageFlip) return;
+        if (isInstantPageTurn()) {
+            if (forward) {
+                state.pageFlip.turnToNextPage();
+            } else {
+                state.pageFlip.turnToPrevPage();
+            }
+            fadeInPage();
+        } else if (forward) {
+            state.pageFlip.flipNext();
+        } else {
+            state.pageFlip.flipPrev();
+        }
+    }
+
+    function goToPrevPage() {
+        turnFlipbook(state.isRtl);
+    }
+
+    function goToNextPage() {
+        turnFlipbook(!state.isRtl);
+    }
+
+    // Arrow keys and the on-screen arrows follow the screen: in a right-to-left book
+    // the next page is to the left
+    function goToLeftPage() {
+        turnFlipbook(false);
+    }
+
+    function goToRightPage() {
+        turnFlipbook(true);
+    }
+
+    function goToPage(pageNum) {
+        if (state.pageFlip && pageNum >= 1 && pageNum <= state.totalPages) {
+            // Start rendering the destination while the flip animates
+            renderVisiblePages(pageNum);
+            if (isInstantPageTurn()) {
+                state.pageFlip.turnToPage(pageToFlipIndex(pageNum));
+                fadeInPage();
+            } else {
+                state.pageFlip.flip(pageToFlipIndex(pageNum));
+            }
+            state.currentPage = pageNum;
+            updatePageIndicator();
+        }
+    }
+
+    function handlePageInputChange() {
+        const pageNum = parseInt(elements.pageInput.value);
+        if (pageNum >= 1 && pageNum <= state.totalPages) {
+            goToPage(pageNum);
+        } else {
+            elements.pageInput.value = state.currentPage;
+        }
+    }
+
+    function updatePageIndicator() {
+        elements.pageInput.value = state.currentPage;
+    }
+
+    // Write the current view back into the URL so it can be shared (see checkUrlForPdf)
+    function updateUrl() {
+        if (!options.main) return; // the address bar belongs to the page hosting embedded viewers
+        const url = new URL(getShareUrl());
+        window.history.replaceState(null, '', `${url.pathname}${url.search}${url.hash}`);
+    }
+
+    // Link that reopens this view in the full-page viewer
+    function getShareUrl() {
+        const url = options.main ? new URL(window.location.href) : new URL('index.html', APP_BASE_URL);
+        const query = url.searchParams;
+        if (state.sourceUrl && state.sourceUrl !== DEFAULT_PDF_URL) {
+            // Relative to the page the viewer is on, which need not be index.html's folder
+            query.set('file', options.main ? state.sourceUrl : new URL(state.sourceUrl, window.location.href).href);
+        } else {
+            query.delete('file');
+        }
+
+        const hash = new URLSearchParams();
+        hash.set('page', state.currentPage);
+        if (state.zoom !== 1) {
+            hash.set('zoom', parseFloat(state.zoom.toFixed(2)));
+        }
+        // Mobile is always single-page, so only record an explicit desktop choice
+        if (!state.isMobile && !state.isDoublePageMode) {
+            hash.set('mode', 'single');
+        }
+        if (state.isRtl) {
+            hash.set('dir', 'rtl');
+        }
+        Object.entries(state.paginationOverrides).forEach(([option, value]) => {
+            hash.set(PAGINATION_PARAMS[option], value ? 1 : 0);
+        });
+        if (state.currentSearchQuery) {
+            hash.set('search', state.currentSearchQuery);
+        }
+
+        url.hash = hash.toString();
+        return url.href;
+    }
+
+    // ============================================
+    // Search
+    // ============================================
+
+    // stayOnPage: keep the current page (e.g. restoring a deep link) instead of jumping to the first result
+    function handleSearch({ stayOnPage = false } = {}) {
+        const query = elements.searchInput.value.toLowerCase().trim();
+
+        if (!query) {
+            resetSearch();
+            updateUrl();
+            return;
+        }
+
+        state.currentSearchQuery = query;
+        state.searchResults = findSearchMatches(query);
+        renderSearchPanel();
+        trackSearchSoon();
+
+        if (state.searchResults.length > 0 && stayOnPage) {
+            // Continue from the first match at or after the current page
+            const nextIndex = state.searchResults.findIndex(match => match.pageNum >= state.currentPage);
+            selectSearchResult(Math.max(nextIndex, 0));
+        } else if (state.searchResults.length > 0) {
+            selectSearchResult(0);
+        } else {
+            state.currentSearchIndex = -1;
+            updateTextHighlights();
+            // More pages may still match while indexing
+            elements.searchResults.textContent = state.isIndexing ? '' : '결과 없음';
+        }
+
+        updateUrl();
+    }
+
+    function resetSearch() {
+        state.searchResults = [];
+        state.currentSearchIndex = -1;
+        state.currentSearchQuery = '';
+        elements.searchResults.textContent = '';
+        updateTextHighlights();
+        renderSearchPanel();
+    }
+
+    // Every occurrence of the query, in reading order: { pageNum, start, end } with
+    // start/end as character offsets into that page's original text
+    function findSearchMatches(query) {
+        const options = state.searchOptions;
+        const needle = normalizeSearchText(query, options).text;
+        if (!needle) return [];
+
+        const equals = options.choseong ? matchesChoseong : (a, b) => a === b;
+        const maxErrors = options.fuzzy ? Math.min(2, Math.floor(needle.length / 3)) : 0;
+        // Exact searches only need to look at pages the index says contain every bigram
+        const candidates = options.choseong || maxErrors > 0 ? null : getCandidatePages(query);
+        const matches = [];
+
+        for (let i = 1; i <= state.totalPages; i++) {
+            const pageText = state.pageTexts.get(i);
+            if (!pageText || (candidates && !candidates.has(i))) continue;
+
+            const haystack = getNormalizedPageText(pageText);
+            const found = maxErrors > 0
+                ? findApproximateMatches(haystack.text, needle, maxErrors, equals)
+                : findExactMatches(haystack.text, needle, options.choseong ? equals : null);
+
+            // Map normalized offsets back onto the original text
+            found.forEach(({ start, end }) => {
+                matches.push({ pageNum: i, start: haystack.starts[start], end: haystack.ends[end - 1] });
+            });
+        }
+
+        return matches;
+    }
+
+    function selectSearchResult(index) {
+        state.currentSearchIndex = index;
+        const match = state.searchResults[index];
+
+        // Only flip when the match is off the visible spread
+        if (!getSpreadForPage(state.currentPage).includes(match.pageNum)) {
+            goToPage(match.pageNum);
+        }
+
+        updateSearchIndicator();
+        updateTextHighlights();
+        updateSearchPanelSelection();
+    }
+
+    function clearTextHighlights() {
+        const textDivs = new Set();
+        root.querySelectorAll('.text-layer span.highlight, .text-layer span.spoken').forEach(mark => {
+            textDivs.add(mark.parentElement);
+        });
+        // Collapse the marks back into a single text node
+        textDivs.forEach(textDiv => {
+            textDiv.textContent = textDiv.textContent;
+        });
+    }
+
+    // Re-marks search matches and the sentence being read aloud on every rendered page
+    function updateTextHighlights() {
+        clearTextHighlights();
+        root.querySelectorAll('.text-layer').forEach(highlightTextLayer);
+    }
+
+    // Wraps the exact characters of each match (and of the sentence being read aloud) in
+    // marks; a range that spans several text items is split across their spans
+    function highlightTextLayer(textLayerDiv) {
+        const pageNum = parseInt(textLayerDiv.dataset.pageNum);
+        const pageText = state.pageTexts.get(pageNum);
+        const spoken = state.readAloudSentence && state.readAloudSentence.pageNum === pageNum
+            ? state.readAloudSentence
+            : null;
+        if (!spoken && (!pageText || state.searchResults.length === 0)) return;
+
+        const textDivs = new Map();
+        textLayerDiv.querySelectorAll('span[data-item-index]').forEach(textDiv => {
+            textDivs.set(parseInt(textDiv.dataset.itemIndex), textDiv);
+        });
+
+        // Collect the ranges per span first - one span may hold several matches
+        const rangesByDiv = new Map();
+        const addRange = (offsets, start, end, className) => {
+            for (let k = findTextItemIndex(offsets, start); k < offsets.length && offsets[k] < end; k++) {
+                const textDiv = textDivs.get(k);
+                if (!textDiv) continue;
+
+                const from = Math.max(start - offsets[k], 0);
+                const to = Math.min(end - offsets[k], textDiv.textContent.length);
+                if (from >= to) continue; // only the line break between items
+
+                if (!rangesByDiv.has(textDiv)) rangesByDiv.set(textDiv, []);
+                rangesByDiv.get(textDiv).push({ from, to, className });
+            }
+        };
+
+        if (pageText) {
+            state.searchResults.forEach((match, matchIndex) => {
+                if (match.pageNum !== pageNum) return;
+                addRange(pageText.offsets, match.start, match.end,
+                    matchIndex === state.currentSearchIndex ? 'highlight selected' : 'highlight');
+            });
+        }
+        if (spoken) {
+            addRange(spoken.offsets, spoken.start, spoken.end, 'spoken');
+        }
+
+        rangesByDiv.forEach((ranges, textDiv) => {
+            const text = textDiv.textContent;
+            let cursor = 0;
+            textDiv.textContent = '';
+
+            ranges.sort((a, b) => a.from - b.from).forEach(({ from, to, className }) => {
+                // A search match inside the spoken sentence is covered by it
+                from = Math.max(from, cursor);
+                if (from >= to) return;
+                if (from > cursor) textDiv.append(text.slice(cursor, from));
+
+                const mark = document.createElement('span');
+                mark.className = className;
+                mark.textContent = text.slice(from, to);
+                textDiv.appendChild(mark);
+                cursor = to;
+            });
+
+            if (cursor < text.length) textDiv.append(text.slice(cursor));
+        });
+    }
+
+    // Index of the text item containing a character offset (last item starting at or before it)
+    function findTextItemIndex(offsets, charOffset) {
+        let low = 0;
+        let high = offsets.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (offsets[mid] <= charOffset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    function goToNextSearchResult() {
+        if (state.searchResults.length === 0) return;
+        selectSearchResult((state.currentSearchIndex + 1) % state.searchResults.length);
+    }
+
+    function goToPrevSearchResult() {
+        if (state.searchResults.length === 0) return;
+        selectSearchResult((state.currentSearchIndex - 1 + state.searchResults.length) % state.searchResults.length);
+    }
+
+    function updateSearchIndicator() {
+        if (state.searchResults.length > 0) {
+            elements.searchResults.textContent = `${state.currentSearchIndex + 1} / ${state.searchResults.length}`;
+        }
+    }
+
+    // ============================================
+    // Search Normalization
+    // ============================================
+
+    // A base character with any combining marks / conjoining Hangul vowels and finals after it
+    const SEARCH_CLUSTER_PATTERN = /.[\p{M}\u1160-\u11FF\uD7B0-\uD7FF]*/gsu;
+
+    const HANGUL_SYLLABLE_START = 0xAC00;
+    const HANGUL_SYLLABLE_END = 0xD7A3;
+    const HANGUL_SYLLABLES_PER_CHOSEONG = 21 * 28;
+    const COMPAT_CHOSEONG = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+    const CONJOINING_CHOSEONG_START = 0x1100;
+
+    // Lowercased (and optionally NFKC/diacritic-folded, whitespace-stripped) text, with
+    // starts[k]/ends[k] giving the original character range behind normalized character k
+    function normalizeSearchText(text, { normalize, ignoreSpaces }) {
+        let normalized = '';
+        const starts = [];
+        const ends = [];
+
+        for (const cluster of text.matchAll(SEARCH_CLUSTER_PATTERN)) {
+            let value = cluster[0];
+            if (normalize) {
+                // NFKD splits off accents (and Hangul into jamo); NFKC puts the rest back together
+                value = value.normalize('NFKD').replace(/\p{M}/gu, '').normalize('NFKC');
+            }
+            value = value.toLowerCase();
+            if (ignoreSpaces) {
+                value = value.replace(/\s+/g, '');
+            }
+
+            for (let k = 0; k < value.length; k++) {
+                starts.push(cluster.index);
+                ends.push(cluster.index + cluster[0].length);
+            }
+            normalized += value;
+        }
+
+        return { text: normalized, starts, ends };
+    }
+
+    // Normalized page text is cached per option combination
+    function getNormalizedPageText(pageText) {
+        const { normalize, ignoreSpaces } = state.searchOptions;
+        const key = `${normalize}-${ignoreSpaces}`;
+
+        if (!pageText.normalized || pageText.normalized.key !== key) {
+            pageText.normalized = { key, ...normalizeSearchText(pageText.text, { normalize, ignoreSpaces }) };
+        }
+        return pageText.normalized;
+    }
+
+    // Index (0-18) of an initial consonant written on its own, in compatibility or conjoining form
+    function getChoseongIndex(char) {
+        const compatIndex = COMPAT_CHOSEONG.indexOf(char);
+        if (compatIndex !== -1) return compatIndex;
+
+        const conjoiningIndex = char.charCodeAt(0) - CONJOINING_CHOSEONG_START;
+        return conjoiningIndex >= 0 && conjoiningIndex < COMPAT_CHOSEONG.length ? conjoiningIndex : -1;
+    }
+
+    // Index of a Hangul syllable's initial consonant
+    function getSyllableChoseongIndex(char) {
+        const code = char.charCodeAt(0);
+        if (code < HANGUL_SYLLABLE_START || code > HANGUL_SYLLABLE_END) return -1;
+        return Math.floor((code - HANGUL_SYLLABLE_START) / HANGUL_SYLLABLES_PER_CHOSEONG);
+    }
+
+    // A lone consonant in the query matches any syllable starting with it
+    function matchesChoseong(queryChar, textChar) {
+        if (queryChar === textChar) return true;
+        const choseong = getChoseongIndex(queryChar);
+        return choseong !== -1 && choseong === getSyllableChoseongIndex(textChar);
+    }
+
+    // Non-overlapping exact matches; equals is only needed for choseong search
+    function findExactMatches(text, needle, equals) {
+        const matches = [];
+
+        if (!equals) {
+            let start = text.indexOf(needle);
+            while (start !== -1) {
+                matches.push({ start, end: start + needle.length });
+                start = text.indexOf(needle, start + needle.length);
+            }
+            return matches;
+        }
+
+        for (let start = 0; start <= text.length - needle.length; start++) {
+            let k = 0;
+            while (k < needle.length && equals(needle[k], text[start + k])) k++;
+            if (k === needle.length) {
+                matches.push({ start, end: start + needle.length });
+                start += needle.length - 1;
+            }
+        }
+        return matches;
+    }
+
+    // Substrings within maxErrors edits (insert/delete/substitute) of the needle, using
+    // Sellers' column-wise edit distance with the start of each alignment carried along.
+    // Overlapping candidates keep the one with fewest errors.
+    function findApproximateMatches(text, needle, maxErrors, equals) {
+        const m = needle.length;
+        const cost = Array.from({ length: m + 1 }, (_, i) => i);
+        const start = new Array(m + 1).fill(0);
+        const matches = [];
+
+        for (let j = 0; j < text.length; j++) {
+            let diagCost = cost[0];
+            let diagStart = start[0];
+            // A match may begin at any position
+            cost[0] = 0;
+            start[0] = j + 1;
+
+            for (let i = 1; i <= m; i++) {
+                const prevCost = cost[i];
+                const prevStart = start[i];
+
+                let best = diagCost + (equals(needle[i - 1], text[j]) ? 0 : 1);
+                let bestStart = diagStart;
+                if (prevCost + 1 < best) {
+                    best = prevCost + 1;
+                    bestStart = prevStart;
+                }
+                if (cost[i - 1] + 1 < best) {
+                    best = cost[i - 1] + 1;
+                    bestStart = start[i - 1];
+                }
+
+                cost[i] = best;
+                start[i] = bestStart;
+                diagCost = prevCost;
+                diagStart = prevStart;
+            }
+
+            if (cost[m] > maxErrors || start[m] > j) continue;
+
+            const candidate = { start: start[m], end: j + 1, errors: cost[m] };
+            const last = matches[matches.length - 1];
+            if (last && candidate.start < last.end) {
+                if (candidate.errors < last.errors) matches[matches.length - 1] = candidate;
+            } else {
+                matches.push(candidate);
+            }
+        }
+
+        return matches;
+    }
+
+    function readSearchOptions() {
+        try {
+            return { ...DEFAULT_SEARCH_OPTIONS, ...JSON.parse(localStorage.getItem(SEARCH_OPTIONS_KEY)) };
+        } catch (error) {
+            return { ...DEFAULT_SEARCH_OPTIONS };
+        }
+    }
+
+    function toggleSearchOption(option) {
+        state.searchOptions[option] = !state.searchOptions[option];
+        try {
+            localStorage.setItem(SEARCH_OPTIONS_KEY, JSON.stringify(state.searchOptions));
+        } catch (error) {
+            console.warn('Could not save search options:', error);
+        }
+        updateSearchOptionButtons();
+
+        if (state.currentSearchQuery) {
+            handleSearch({ stayOnPage: true });
+        }
+    }
+
+    function updateSearchOptionButtons() {
+        elements.searchOptionButtons.forEach(button => {
+            const enabled = Boolean(state.searchOptions[button.dataset.option]);
+            button.classList.toggle('active', enabled);
+            button.setAttribute('aria-pressed', enabled);
+        });
+    }
+
+    // ============================================
+    // Search Indexing
+    // ============================================
+
+    // Text extraction runs in search-worker.js, which posts pages back as they are
+    // indexed; search works on whatever has arrived so far. Without a working worker
+    // the pages are indexed here instead.
+    let searchIndexWorker = null;
+    let searchIndexSource = null;
+    // Bumped by stopSearchIndexing() so a run in progress knows it was cancelled
+    let searchIndexRun = 0;
+
+    // source: { data } (ArrayBuffer) when the bytes are at hand, or { getData } returning a
+    // promise of them - the worker asks for the bytes only when it has no cached index
+    function startSearchIndexing(source) {
+        stopSearchIndexing();
+        searchIndexSource = source;
+        state.isIndexing = true;
+        updateIndexingStatus();
+
+        let worker;
+        try {
+            worker = new Worker(new URL('search-worker.js', APP_BASE_URL));
+        } catch (error) {
+            console.warn('Search worker unavailable, indexing on the main thread:', error);
+            indexOnMainThread();
+            return;
+        }
+        searchIndexWorker = worker;
+
+        worker.addEventListener('message', (e) => {
+            // Ignore a worker that belongs to a document closed meanwhile
+            if (worker !== searchIndexWorker) return;
+            handleSearchIndexMessage(e.data);
+        });
+        worker.addEventListener('error', (e) => {
+            if (worker !== searchIndexWorker) return;
+            console.error('Search indexing failed:', e.message);
+            indexOnMainThread();
+        });
+
+        const data = source.data;
+        worker.postMessage({ type: 'index', fingerprint: state.fingerprint, data }, data ? [data] : []);
+    }
+
+    function stopSearchIndexing() {
+        searchIndexRun++;
+        if (searchIndexWorker) {
+            searchIndexWorker.terminate();
+            searchIndexWorker = null;
+        }
+        state.isIndexing = false;
+        updateIndexingStatus();
+    }
+
+    // Hands the worker the bytes already loaded here, so it doesn't download the file again
+    async function sendSearchIndexData() {
+        const worker = searchIndexWorker;
+        try {
+            const data = await searchIndexSource.getData();
+            if (worker !== searchIndexWorker) return;
+            worker.postMessage({ type: 'data', data }, [data.buffer]);
+        } catch (error) {
+            if (worker !== searchIndexWorker) return;
+            console.error('Search indexing failed:', error);
+            indexOnMainThread();
+        }
+    }
+
+    // The fallback when the worker can't run (e.g. no nested workers): pages are extracted
+    // one at a time, skipping any the worker already delivered
+    async function indexOnMainThread() {
+        stopSearchIndexing();
+        const run = searchIndexRun;
+        state.isIndexing = true;
+        updateIndexingStatus();
+
+        for (let pageNum = 1; pageNum <= state.totalPages; pageNum++) {
+            if (state.pageTexts.has(pageNum)) continue;
+
+            const pageText = await getPageText(pageNum) || { text: '', offsets: [] };
+            if (run !== searchIndexRun) return;
+
+            const folded = normalizeSearchText(pageText.text, { normalize: true, ignoreSpaces: true }).text;
+            const grams = new Set();
+            for (let i = 0; i < folded.length - 1; i++) {
+                grams.add(folded.slice(i, i + 2));
+            }
+            handleSearchIndexMessage({ type: 'pages', pages: [{ pageNum, ...pageText, grams: [...grams] }] });
+        }
+
+        state.isIndexing = false;
+        updateIndexingStatus();
+        refreshSearchResultsSoon();
+    }
+
+    function handleSearchIndexMessage(message) {
+        switch (message.type) {
+            case 'pages':
+                message.pages.forEach(({ pageNum, text, offsets, grams }) => {
+                    state.pageTexts.set(pageNum, { text, offsets });
+                    grams.forEach(gram => {
+                        if (!state.searchIndex.has(gram)) state.searchIndex.set(gram, new Set());
+                        state.searchIndex.get(gram).add(pageNum);
+                    });
+                });
+                updateIndexingStatus();
+                refreshSearchResultsSoon();
+                break;
+
+            case 'data-needed':
+                sendSearchIndexData();
+                break;
+
+            case 'done':
+                searchIndexWorker.terminate();
+                searchIndexWorker = null;
+                state.isIndexing = false;
+                updateIndexingStatus();
+                refreshSearchResultsSoon();
+                break;
+
+            case 'error':
+                console.error('Search indexing failed:', message.message);
+                indexOnMainThread();
+                break;
+        }
+    }
+
+    // Pages whose text contains every character pair of the (fully folded) query,
+    // or null when the query is too short for the index to narrow anything down
+    function getCandidatePages(query) {
+        const folded = normalizeSearchText(query, { normalize: true, ignoreSpaces: true }).text;
+        if (folded.length < 2) return null;
+
+        let candidates = null;
+        for (let i = 0; i < folded.length - 1; i++) {
+            const pages = state.searchIndex.get(folded.slice(i, i + 2));
+            if (!pages) return new Set();
+
+            candidates = candidates
+                ? new Set([...candidates].filter(pageNum => pages.has(pageNum)))
+                : new Set(pages);
+            if (candidates.size === 0) break;
+        }
+        return candidates;
+    }
+
+    // Re-runs the active search as pages arrive, keeping the selected match and the page
+    const refreshSearchResultsSoon = debounce(() => {
+        if (!state.currentSearchQuery) return;
+
+        const selected = state.searchResults[state.currentSearchIndex];
+        state.searchResults = findSearchMatches(state.currentSearchQuery);
+        state.currentSearchIndex = selected
+            ? state.searchResults.findIndex(match => match.pageNum === selected.pageNum && match.start === selected.start)
+            : -1;
+
+        renderSearchPanel();
+        if (state.currentSearchIndex !== -1) {
+            updateSearchIndicator();
+            updateSearchPanelSelection();
+            updateTextHighlights();
+        } else if (state.searchResults.length > 0) {
+            // Like a search that stays on the page: the first match from here on, waiting
+            // while the pages after this one may still turn one up
+            const nextIndex = state.searchResults.findIndex(match => match.pageNum >= state.currentPage);
+            if (nextIndex !== -1 || !state.isIndexing) selectSearchResult(Math.max(nextIndex, 0));
+        } else {
+            updateTextHighlights();
+            elements.searchResults.textContent = state.isIndexing ? '' : '결과 없음';
+        }
+    }, 300);
+
+    function updateIndexingStatus() {
+        elements.searchIndexStatus.classList.toggle('hidden', !state.isIndexing);
+        if (state.isIndexing) {
+            elements.searchIndexStatus.textContent = `색인 중 ${state.pageTexts.size}/${state.totalPages}`;
+        }
+    }
+
+    // ============================================
+    // Search Results Panel
+    // ============================================
+
+    function toggleSearchPanel(force) {
+        const wasOpen = state.isSearchPanelOpen;
+        state.isSearchPanelOpen = typeof force === 'boolean' ? force : !state.isSearchPanelOpen;
+        elements.searchPanel.classList.toggle('hidden', !state.isSearchPanelOpen);
+        elements.searchResults.setAttribute('aria-expanded', state.isSearchPanelOpen);
+        if (state.isSearchPanelOpen !== wasOpen) {
+            movePanelFocus(elements.searchPanel, state.isSearchPanelOpen, elements.searchResults);
+        }
+    }
+
+    function renderSearchPanel() {
+        elements.searchPanelList.innerHTML = '';
+
+        const query = state.currentSearchQuery;
+        const total = state.searchResults.length;
+        elements.searchPanelCount.textContent = query ? `${total}건` : '';
+
+        if (!query) {
+            toggleSearchPanel(false);
+            return;
+        }
+
+        if (total === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'search-panel-empty';
+            empty.textContent = `"${query}"에 대한 결과가 없습니다`;
+            elements.searchPanelList.appendChild(empty);
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'search-result-list';
+
+        state.searchResults.slice(0, SEARCH_PANEL_MAX_RESULTS).forEach((match, index) => {
+            const li = document.createElement('li');
+
+            const item = document.createElement('button');
+            item.className = 'search-result';
+            item.dataset.matchIndex = index;
+            item.addEventListener('click', () => {
+                selectSearchResult(index);
+                if (state.isMobile) toggleSearchPanel(false);
+            });
+
+            const snippet = document.createElement('span');
+            snippet.className = 'search-result-snippet';
+            snippet.append(...createSearchSnippet(match));
+            item.appendChild(snippet);
+
+            const pageLabel = document.createElement('span');
+            pageLabel.className = 'contents-page';
+            pageLabel.textContent = match.pageNum;
+            item.appendChild(pageLabel);
+
+            li.appendChild(item);
+            list.appendChild(li);
+        });
+
+        elements.searchPanelList.appendChild(list);
+
+        if (total > SEARCH_PANEL_MAX_RESULTS) {
+            const more = document.createElement('p');
+            more.className = 'search-panel-empty';
+            more.textContent = `처음 ${SEARCH_PANEL_MAX_RESULTS}건만 표시합니다`;
+            elements.searchPanelList.appendChild(more);
+        }
+
+        toggleSearchPanel(true);
+    }
+
+    // [before, <mark>match</mark>, after] with whitespace collapsed and the context trimmed
+    function createSearchSnippet(match) {
+        const { text } = state.pageTexts.get(match.pageNum);
+        const contextStart = Math.max(match.start - SEARCH_SNIPPET_CONTEXT, 0);
+        const contextEnd = Math.min(match.end + SEARCH_SNIPPET_CONTEXT, text.length);
+
+        const before = (contextStart > 0 ? '…' : '') + text.slice(contextStart, match.start).replace(/\s+/g, ' ').trimStart();
+        const after = text.slice(match.end, contextEnd).replace(/\s+/g, ' ').trimEnd() + (contextEnd < text.length ? '…' : '');
+
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(match.start, match.end);
+
+        return [before, mark, after];
+    }
+
+    function updateSearchPanelSelection() {
+        elements.searchPanelList.querySelectorAll('.search-result.active').forEach(item => {
+            item.classList.remove('active');
+        });
+
+        const item = elements.searchPanelList.querySelector(`.search-result[data-match-index="${state.currentSearchIndex}"]`);
+        if (item) {
+            item.classList.add('active');
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // ============================================
+    // Read Aloud (Speech Synthesis)
+    // ============================================
+
+    // Pages are spoken one sentence per utterance, each chaining to the next. Every
+    // new run (start, stop, page change, settings change) bumps the generation so
+    // events from cancelled utterances are ignored.
+    let readAloudGeneration = 0;
+
+    function setupReadAloud() {
+        state.readAloudSettings = readReadAloudSettings();
+        if (!('speechSynthesis' in window)) {
+            elements.btnReadAloud.remove();
+            return;
+        }
+
+        elements.btnReadAloud.addEventListener('click', () => toggleReadAloudBar());
+        elements.btnReadAloudPlay.addEventListener('click', toggleReadAloud);
+        elements.btnReadAloudStop.addEventListener('click', stopReadAloud);
+        elements.readAloudLang.addEventListener('change', () => {
+            updateReadAloudSettings({ lang: elements.readAloudLang.value, voice: '' });
+        });
+        elements.readAloudVoice.addEventListener('change', () => {
+            updateReadAloudSettings({ voice: elements.readAloudVoice.value });
+        });
+        elements.readAloudRate.addEventListener('change', () => {
+            updateReadAloudSettings({ rate: parseFloat(elements.readAloudRate.value) });
+        });
+
+        // Voices load asynchronously, and can change while the page is open
+        speechSynthesis.addEventListener('voiceschanged', updateVoiceOptions, { signal });
+        updateVoiceOptions();
+        updateReadAloudControls();
+    }
+
+    function toggleReadAloudBar(force) {
+        const wasOpen = state.isReadAloudOpen;
+        state.isReadAloudOpen = typeof force === 'boolean' ? force : !state.isReadAloudOpen;
+        if (state.isReadAloudOpen) closeOtherBars('readAloud');
+        elements.readAloudBar.classList.toggle('hidden', !state.isReadAloudOpen);
+        updateReadAloudControls();
+        if (state.isReadAloudOpen !== wasOpen) {
+            movePanelFocus(elements.readAloudBar, state.isReadAloudOpen, elements.btnReadAloud);
+        }
+    }
+
+    // Play / pause
+    function toggleReadAloud() {
+        if (!state.isReadingAloud) {
+            startReadAloud();
+            return;
+        }
+
+        if (state.isReadAloudPaused) {
+            speechSynthesis.resume();
+        } else {
+            speechSynthesis.pause();
+        }
+        state.isReadAloudPaused = !state.isReadAloudPaused;
+        updateReadAloudControls();
+    }
+
+    function startReadAloud(pageNum = getVisiblePages()[0]) {
+        if (!state.pdfDoc || !pageNum) return;
+
+        if (stopActiveReadAloud && stopActiveReadAloud !== stopReadAloud) {
+            stopActiveReadAloud();
+        }
+        stopActiveReadAloud = stopReadAloud;
+
+        state.isReadingAloud = true;
+        state.isReadAloudPaused = false;
+        readPageAloud(pageNum);
+        updateReadAloudControls();
+    }
+
+    function stopReadAloud() {
+        if (!state.isReadingAloud) return;
+
+        readAloudGeneration++;
+        speechSynthesis.cancel();
+        if (stopActiveReadAloud === stopReadAloud) stopActiveReadAloud = null;
+
+        state.isReadingAloud = false;
+        state.isReadAloudPaused = false;
+        state.readAloudPage = null;
+        state.readAloudSentence = null;
+        updateTextHighlights();
+        updateReadAloudControls();
+    }
+
+    // Reads a page from the sentence starting at fromOffset (a character offset into its text)
+    async function readPageAloud(pageNum, fromOffset = 0) {
+        const generation = ++readAloudGeneration;
+        speechSynthesis.cancel();
+        // Some engines stay paused after cancel() and would never start the next utterance
+        if (speechSynthesis.paused) speechSynthesis.resume();
+        state.readAloudPage = pageNum;
+
+        const pageText = await getPageText(pageNum);
+        if (generation !== readAloudGeneration) return;
+
+        const sentences = pageText
+            ? splitSentences(pageText.text, state.readAloudSettings.lang).filter(sentence => sentence.end > fromOffset)
+            : [];
+        speakSentence(generation, pageNum, pageText, sentences, 0);
+    }
+
+    function speakSentence(generation, pageNum, pageText, sentences, index) {
+        if (generation !== readAloudGeneration) return;
+
+        if (index >= sentences.length) {
+            readNextPageAloud(pageNum);
+            return;
+        }
+
+        const sentence = sentences[index];
+        const { lang, voice, rate } = state.readAloudSettings;
+        const utterance = new SpeechSynthesisUtterance(sentence.text);
+        utterance.lang = lang;
+        utterance.rate = rate;
+        utterance.voice = speechSynthesis.getVoices().find(candidate => candidate.voiceURI === voice) || null;
+
+        utterance.onstart = () => {
+            if (generation !== readAloudGeneration) return;
+            state.readAloudSentence = { pageNum, start: sentence.start, end: sentence.end, offsets: pageText.offsets };
+            updateTextHighlights();
+        };
+        utterance.onend = () => speakSentence(generation, pageNum, pageText, sentences, index + 1);
+        utterance.onerror = (e) => {
+            // cancel() reports the utterances it drops as errors
+            if (generation !== readAloudGeneration || e.error === 'interrupted' || e.error === 'canceled') return;
+            console.error('Speech synthesis error:', e.error);
+            stopReadAloud();
+            showToast('음성으로 읽을 수 없습니다');
+        };
+
+        speechSynthesis.speak(utterance);
+    }
+
+    function readNextPageAloud(pageNum) {
+        if (pageNum >= state.totalPages) {
+            stopReadAloud();
+            showToast('마지막 페이지까지 읽었습니다');
+            return;
+        }
+
+        // Set the page being read before turning, so followReadAloud() sees it on the new spread
+        const nextPage = pageNum + 1;
+        const needsFlip = !getVisiblePages().includes(nextPage);
+        readPageAloud(nextPage);
+        if (needsFlip) {
+            goToNextPage();
+        }
+    }
+
+    // Turning to another spread while reading carries on from there (or ends a paused reading)
+    function followReadAloud() {
+        if (!state.isReadingAloud) return;
+
+        const visiblePages = getVisiblePages();
+        if (visiblePages.includes(state.readAloudPage)) return;
+
+        if (state.isReadAloudPaused) {
+            stopReadAloud();
+        } else {
+            state.readAloudSentence = null;
+            updateTextHighlights();
+            readPageAloud(visiblePages[0]);
+        }
+    }
+
+    // Page text in text-layer order: from the search index when it has the page yet,
+    // otherwise extracted here (joined like buildPageText() in search-worker.js)
+    async function getPageText(pageNum) {
+        if (state.pageTexts.has(pageNum)) return state.pageTexts.get(pageNum);
+
+        try {
+            const page = await state.pdfDoc.getPage(pageNum);
+            const { items } = await page.getTextContent();
+            let text = '';
+            const offsets = [];
+            items.forEach(item => {
+                if (item.str === undefined) return;
+                offsets.push(text.length);
+                text += item.str;
+                if (item.hasEOL) text += ' ';
+            });
+            return { text, offsets };
+        } catch (error) {
+            console.error(`Error extracting text from page ${pageNum}:`, error);
+            return null;
+        }
+    }
+
+    // Sentences of a page as { start, end, text } with offsets into the page text;
+    // long runs without punctuation are cut at word breaks
+    function splitSentences(text, lang) {
+        const segments = typeof Intl.Segmenter === 'function'
+            ? [...new Intl.Segmenter(lang, { granularity: 'sentence' }).segment(text)]
+                .map(({ index, segment }) => ({ start: index, end: index + segment.length }))
+            : [...text.matchAll(/[^.!?。！？]+[.!?。！？]*/g)]
+                .map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+        const sentences = [];
+        segments.forEach(({ start, end }) => {
+            while (start < end) {
+                let chunkEnd = end;
+                if (end - start > READ_ALOUD_MAX_CHUNK) {
+                    const space = text.lastIndexOf(' ', start + READ_ALOUD_MAX_CHUNK);
+                    chunkEnd = space > start ? space + 1 : start + READ_ALOUD_MAX_CHUNK;
+                }
+
+                const chunk = text.slice(start, chunkEnd);
+                if (chunk.trim()) {
+                    const leading = chunk.length - chunk.trimStart().length;
+                    const trailing = chunk.length - chunk.trimEnd().length;
+                    sentences.push({ start: start + leading, end: chunkEnd - trailing, text: chunk.trim() });
+                }
+                start = chunkEnd;
+            }
+        });
+        return sentences;
+    }
+
+    function readReadAloudSettings() {
+        try {
+            return { ...DEFAULT_READ_ALOUD_SETTINGS, ...JSON.parse(localStorage.getItem(READ_ALOUD_SETTINGS_KEY)) };
+        } catch (error) {
+            return { ...DEFAULT_READ_ALOUD_SETTINGS };
+        }
+    }
+
+    function updateReadAloudSettings(changes) {
+        Object.assign(state.readAloudSettings, changes);
+        try {
+            localStorage.setItem(READ_ALOUD_SETTINGS_KEY, JSON.stringify(state.readAloudSettings));
+        } catch (error) {
+            console.warn('Could not save read-aloud settings:', error);
+        }
+        if ('lang' in changes) updateVoiceOptions();
+
+        // Say the current sentence again with the new voice or speed
+        if (state.isReadingAloud && !state.isReadAloudPaused) {
+            const sentence = state.readAloudSentence;
+            readPageAloud(state.readAloudPage, sentence && sentence.pageNum === state.readAloudPage ? sentence.start : 0);
+        }
+    }
+
+    // Voices for the selected language, after the browser default
+    function updateVoiceOptions() {
+        const { lang, voice } = state.readAloudSettings;
+        const language = lang.split('-')[0];
+        const voices = speechSynthesis.getVoices()
+            .filter(candidate => candidate.lang.toLowerCase().replace('_', '-').split('-')[0] === language);
+
+        elements.readAloudVoice.replaceChildren(
+            new Option('기본 음성', ''),
+            ...voices.map(candidate => new Option(candidate.name, candidate.voiceURI))
+        );
+        elements.readAloudVoice.value = voices.some(candidate => candidate.voiceURI === voice) ? voice : '';
+    }
+
+    function updateReadAloudControls() {
+        const playing = state.isReadingAloud && !state.isReadAloudPaused;
+        elements.btnReadAloud.classList.toggle('active', state.isReadAloudOpen || state.isReadingAloud);
+        elements.btnReadAloud.setAttribute('aria-expanded', state.isReadAloudOpen);
+        elements.btnReadAloudPlay.classList.toggle('active', playing);
+        elements.btnReadAloudPlay.setAttribute('aria-pressed', playing);
+        elements.btnReadAloudPlay.title = playing ? '일시 정지' : '읽기 시작';
+        elements.iconReadAloudPlay.classList.toggle('hidden', playing);
+        elements.iconReadAloudPause.classList.toggle('hidden', !playing);
+        elements.btnReadAloudStop.disabled = !state.isReadingAloud;
+        elements.readAloudLang.value = state.readAloudSettings.lang;
+        elements.readAloudRate.value = String(state.readAloudSettings.rate);
+    }
+
+    // ============================================
+    // Accessibility
+    // ============================================
+
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    // pdfDoc -> Map of page number -> promised reading-view blocks
+    const readingBlocks = new WeakMap();
+    let readingViewGeneration = 0;
+    // Set when the reader turned the view on - its first heading takes focus once rendered
+    let focusReadingViewOnRender = false;
+
+    function setupAccessibility() {
+        elements.btnAccessibility.addEventListener('click', () => toggleAccessibilityBar());
+        elements.btnReadingView.addEventListener('click', () => toggleReadingView());
+        elements.btnReducedMotion.addEventListener('click', () => {
+            updateAccessibilitySettings({ reducedMotion: !isReducedMotion() });
+            showToast(isReducedMotion() ? '페이지를 애니메이션 없이 넘깁니다' : '페이지 넘김 애니메이션을 켰습니다');
+        });
+        reducedMotionQuery.addEventListener('change', () => {
+            if (state.accessibilitySettings.reducedMotion === null) applyReducedMotion();
+        }, { signal });
+
+        setupInstantPageTurns();
+        applyReducedMotion();
+        applyReadingView();
+    }
+
+    // The annotation, read-aloud, accessibility, pagination and presentation bars share one spot under the toolbar
+    function closeOtherBars(keep) {
+        if (keep !== 'annotation' && state.isAnnotating) toggleAnnotationMode(false);
+        if (keep !== 'readAloud' && state.isReadAloudOpen) toggleReadAloudBar(false);
+        if (keep !== 'accessibility' && state.isAccessibilityOpen) toggleAccessibilityBar(false);
+        if (keep !== 'pagination' && state.isPaginationOpen) togglePaginationBar(false);
+        if (keep !== 'presentation' && state.isPresentationOpen) togglePresentationBar(false);
+    }
+
+    // Escape closes panels one at a time, the most transient first
+    function closeTopPanel() {
+        if (state.isSearchPanelOpen) toggleSearchPanel(false);
+        else if (state.isBookmarksOpen) toggleBookmarksPanel(false);
+        else if (state.isContentsOpen) toggleContentsPanel(false);
+        else if (state.isThumbnailsOpen) toggleThumbnails(false);
+        else if (state.isReadAloudOpen) toggleReadAloudBar(false);
+        else if (state.isAccessibilityOpen) toggleAccessibilityBar(false);
+        else if (state.isPaginationOpen) togglePaginationBar(false);
+        else if (state.isPresentationOpen) togglePresentationBar(false);
+        else if (state.isAnnotating && !state.annotationTool) toggleAnnotationMode(false);
+        else return false;
+        return true;
+    }
+
+    // Opening a panel moves focus to its first control; closing it while focus is
+    // inside hands focus back to the button that toggles it
+    function movePanelFocus(panel, open, toggleButton) {
+        if (open) {
+            const first = [...panel.querySelectorAll(FOCUSABLE_SELECTOR)]
+                .find(element => element.getClientRects().length > 0);
+            if (first) first.focus();
+        } else if (panel.contains(document.activeElement) && toggleButton.isConnected) {
+            toggleButton.focus();
+        }
+    }
+
+    function toggleAccessibilityBar(force) {
+        const wasOpen = state.isAccessibilityOpen;
+        state.isAccessibilityOpen = typeof force === 'boolean' ? force : !state.isAccessibilityOpen;
+        if (state.isAccessibilityOpen) closeOtherBars('accessibility');
+        elements.accessibilityBar.classList.toggle('hidden', !state.isAccessibilityOpen);
+        updateAccessibilityControls();
+        if (state.isAccessibilityOpen !== wasOpen) {
+            movePanelFocus(elements.accessibilityBar, state.isAccessibilityOpen, elements.btnAccessibility);
+        }
+    }
+
+    function updateAccessibilityControls() {
+        const { readingView } = state.accessibilitySettings;
+        const reducedMotion = isReducedMotion();
+        elements.btnAccessibility.classList.toggle('active', state.isAccessibilityOpen || readingView);
+        elements.btnAccessibility.setAttribute('aria-expanded', state.isAccessibilityOpen);
+        elements.btnReadingView.classList.toggle('active', readingView);
+        elements.btnReadingView.setAttribute('aria-pressed', readingView);
+        elements.btnReducedMotion.classList.toggle('active', reducedMotion);
+        elements.btnReducedMotion.setAttribute('aria-pressed', reducedMotion);
+    }
+
+    function readAccessibilitySettings() {
+        try {
+            return { ...DEFAULT_ACCESSIBILITY_SETTINGS, ...JSON.parse(localStorage.getItem(ACCESSIBILITY_SETTINGS_KEY)) };
+        } catch (error) {
+            return { ...DEFAULT_ACCESSIBILITY_SETTINGS };
+        }
+    }
+
+    function updateAccessibilitySettings(changes) {
+        Object.assign(state.accessibilitySettings, changes);
+        try {
+            localStorage.setItem(ACCESSIBILITY_SETTINGS_KEY, JSON.stringify(state.accessibilitySettings));
+        } catch (error) {
+            console.warn('Could not save accessibility settings:', error);
+        }
+        if ('reducedMotion' in changes) applyReducedMotion();
+        if ('readingView' in changes) applyReadingView();
+    }
+
+    // --- Reduced motion ---
+
+    function isReducedMotion() {
+        const { reducedMotion } = state.accessibilitySettings;
+        return reducedMotion === null ? reducedMotionQuery.matches : reducedMotion;
+    }
+
+    // The reading view hides the pages, so there is no curl to watch either
+    function isInstantPageTurn() {
+        return isReducedMotion() || state.accessibilitySettings.readingView;
+    }
+
+    function applyReducedMotion() {
+        root.classList.toggle('reduced-motion', isReducedMotion());
+        updateAccessibilityControls();
+
+        // StPageFlip only reads useMouseEvents when it is created
+        if (state.pdfDoc && state.pageFlip) {
+            rebuildFlipbook();
+        }
+    }
+
+    // Fades the new spread in after an instant page turn
+    function fadeInPage() {
+        elements.flipbook.classList.remove('page-fade-in');
+        void elements.flipbook.offsetWidth; // restart the animation
+        elements.flipbook.classList.add('page-fade-in');
+    }
+
+    // With reduced motion StPageFlip ignores the mouse, so a click on either half of
+    // the book or a horizontal swipe turns the page instead
+    function setupInstantPageTurns() {
+        const isPageGesture = (e) => isReducedMotion() && state.pageFlip && !state.annotationTool
+            && !e.target.closest('a, button, .text-layer span, .annotation-note, .note-popover');
+
+        elements.flipbook.addEventListener('click', (e) => {
+            if (e.button !== 0 || !isPageGesture(e)) return;
+            // Clicks that end a text selection are not page turns
+            const selection = window.getSelection();
+            if (selection && !selection.isCollapsed) return;
+
+            const rect = elements.flipbook.getBoundingClientRect();
+            if (e.clientX < rect.left + rect.width / 2) {
+                goToLeftPage();
+            } else {
+                goToRightPage();
+            }
+        });
+
+        let swipeStart = null;
+        elements.flipbook.addEventListener('touchstart', (e) => {
+            swipeStart = e.touches.length === 1 && isPageGesture(e)
+                ? { x: e.touches[0].clientX, y: e.touches[0].clientY }
+                : null;
+        }, { passive: true });
+        elements.flipbook.addEventListener('touchend', (e) => {
+            if (!swipeStart) return;
+            const dx = e.changedTouches[0].clientX - swipeStart.x;
+            const dy = e.changedTouches[0].clientY - swipeStart.y;
+            swipeStart = null;
+            if (Math.abs(dx) < 50 || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+
+            // Swiping left drags the right-hand page over
+            if (dx < 0) {
+                goToRightPage();
+            } else {
+                goToLeftPage();
+            }
+        });
+    }
+
+    // --- Page announcements ---
+
+    function announcePage() {
+        const pages = getVisiblePages();
+        if (pages.length === 0) return;
+        const label = pages.length > 1 ? `${pages[0]}–${pages[pages.length - 1]}` : `${pages[0]}`;
+        elements.pageAnnouncer.textContent = `${label}페이지 / 총 ${state.totalPages}페이지`;
+    }
+
+    // --- Reading view ---
+
+    function toggleReadingView(force) {
+        const readingView = typeof force === 'boolean' ? force : !state.accessibilitySettings.readingView;
+        if (!readingView && elements.readingView.contains(document.activeElement)) {
+            (state.isAccessibilityOpen ? elements.btnReadingView : elements.btnAccessibility).focus();
+        }
+        focusReadingViewOnRender = readingView;
+        updateAccessibilitySettings({ readingView });
+    }
+
+    function applyReadingView() {
+        const { readingView } = state.accessibilitySettings;
+        elements.viewerContainer.classList.toggle('reading-mode', readingView);
+        elements.readingView.classList.toggle('hidden', !readingView);
+        updateAccessibilityControls();
+        if (readingView) {
+            renderReadingView();
+        } else {
+            readingViewGeneration++;
+            focusReadingViewOnRender = false;
+            elements.readingView.innerHTML = '';
+        }
+    }
+
+    // Shows the text of the visible pages as headings and paragraphs
+    async function renderReadingView() {
+        if (!state.accessibilitySettings.readingView || !state.pdfDoc || !state.pageFlip) return;
+
+        const generation = ++readingViewGeneration;
+        const pages = getVisiblePages();
+        const blocks = await Promise.all(pages.map(getReadingBlocks));
+        if (generation !== readingViewGeneration) return;
+
+        // Keep a screen reader's place: focus follows to the new pages if it was in the old ones
+        const moveFocus = focusReadingViewOnRender || elements.readingView.contains(document.activeElement);
+        focusReadingViewOnRender = false;
+        elements.readingView.replaceChildren(...pages.map((pageNum, i) => createReadingSection(pageNum, blocks[i])));
+        elements.readingView.scrollTop = 0;
+        if (moveFocus) elements.readingView.querySelector('h2').focus();
+    }
+
+    function getReadingBlocks(pageNum) {
+        if (!readingBlocks.has(state.pdfDoc)) readingBlocks.set(state.pdfDoc, new Map());
+        const pages = readingBlocks.get(state.pdfDoc);
+
+        if (!pages.has(pageNum)) {
+            pages.set(pageNum, state.pdfDoc.getPage(pageNum)
+                .then(page => page.getTextContent())
+                .then(({ items }) => buildReadingBlocks(items))
+                .catch(error => {
+                    console.error(`Error extracting text from page ${pageNum}:`, error);
+                    pages.delete(pageNum);
+                    return [];
+                }));
+        }
+        return pages.get(pageNum);
+    }
+
+    // Groups text items into lines (PDF.js marks line ends with hasEOL), then lines into
+    // headings and paragraphs by font size and the gap to the line above
+    function buildReadingBlocks(items) {
+        const lines = [];
+        let line = null;
+        items.forEach(item => {
+            if (item.str === undefined) return; // marked content
+            if (!line) line = { text: '', size: 0, y: item.transform[5] };
+            line.text += item.str;
+            if (item.str.trim()) {
+                line.size = Math.max(line.size, Math.hypot(item.transform[2], item.transform[3]));
+            }
+            if (item.hasEOL) {
+                lines.push(line);
+                line = null;
+            }
+        });
+        if (line) lines.push(line);
+
+        const textLines = lines.filter(candidate => candidate.text.trim());
+        if (textLines.length === 0) return [];
+
+        // Body text is the size most characters are set in
+        const charsBySize = new Map();
+        textLines.forEach(({ text, size }) => {
+            const key = Math.round(size);
+            charsBySize.set(key, (charsBySize.get(key) || 0) + text.length);
+        });
+        const bodySize = [...charsBySize].sort((a, b) => b[1] - a[1])[0][0];
+
+        const blocks = [];
+        let previous = null;
+        textLines.forEach(current => {
+            const text = current.text.trim();
+            const type = current.size >= bodySize * READING_VIEW_HEADING_RATIO && text.length <= 120
+                ? 'heading'
+                : 'paragraph';
+
+            // A line directly below one of the same kind continues its block;
+            // a wider gap, or a jump back up to a new column, starts a new one
+            const last = blocks[blocks.length - 1];
+            const gap = previous ? previous.y - current.y : 0;
+            if (last && last.type === type && gap > 0 && gap < Math.max(previous.size, current.size) * 1.6) {
+                last.text += ` ${text}`;
+            } else {
+                blocks.push({ type, text });
+            }
+            previous = current;
+        });
+        return blocks;
+    }
+
+    function createReadingSection(pageNum, blocks) {
+        const section = document.createElement('section');
+        section.className = 'reading-page';
+        section.setAttribute('aria-label', `${pageNum}페이지`);
+
+        const title = document.createElement('h2');
+        title.className = 'reading-page-number';
+        title.tabIndex = -1;
+        title.textContent = `${pageNum}페이지`;
+        section.appendChild(title);
+
+        blocks.forEach(({ type, text }) => {
+            const element = document.createElement(type === 'heading' ? 'h3' : 'p');
+            element.textContent = text;
+            section.appendChild(element);
+        });
+
+        if (blocks.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'reading-page-empty';
+            empty.textContent = '이 페이지에는 읽을 수 있는 텍스트가 없습니다';
+            section.appendChild(empty);
+        }
+        return section;
+    }
+
+    // ============================================
+    // Table of Contents
+    // ============================================
+
+    async function buildContents() {
+        state.outline = [];
+        elements.contentsList.innerHTML = '';
+
+        let outline = null;
+        try {
+            outline = await state.pdfDoc.getOutline();
+        } catch (error) {
+            console.error('Error reading PDF outline:', error);
+        }
+
+        if (outline && outline.length > 0) {
+            state.outline = await resolveOutlineItems(outline);
+        }
+
+        if (state.outline.length > 0) {
+            elements.contentsList.appendChild(createContentsTree(state.outline, 0));
+        } else {
+            // No bookmarks in this PDF - fall back to a plain list of page thumbnails
+            elements.contentsList.appendChild(createPageThumbnailList());
+        }
+
+        updateContentsHighlight();
+    }
+
+    // Resolve outline destinations to 1-based page numbers (recursively)
+    async function resolveOutlineItems(items) {
+        const resolved = [];
+        for (const item of items) {
+            const children = item.items && item.items.length > 0
+                ? await resolveOutlineItems(item.items)
+                : [];
+
+            resolved.push({
+                title: item.title || '',
+                pageNum: await resolveDestPage(item.dest),
+                url: item.url || null,
+                // Negative count means the entry is closed by default in the PDF
+                expanded: !(item.count < 0),
+                children,
+            });
+        }
+        return resolved;
+    }
+
+    async function resolveDestPage(dest) {
+        if (!dest || !state.pdfDoc) return null;
+
+        try {
+            const explicitDest = typeof dest === 'string'
+                ? await state.pdfDoc.getDestination(dest)
+                : dest;
+            if (!Array.isArray(explicitDest)) return null;
+
+            const ref = explicitDest[0];
+            if (ref && typeof ref === 'object') {
+                return (await state.pdfDoc.getPageIndex(ref)) + 1;
+            }
+            if (Number.isInteger(ref)) {
+                return ref + 1;
+            }
+        } catch (error) {
+            console.error('Error resolving destination:', error);
+        }
+        return null;
+    }
+
+    function createContentsTree(items, depth) {
+        const list = document.createElement('ul');
+        list.className = 'contents-tree';
+
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.className = 'contents-item';
+
+            const row = document.createElement('div');
+            row.className = 'contents-row';
+            row.style.paddingLeft = `${depth * 14 + 8}px`;
+
+            if (item.children.length > 0) {
+                const toggle = document.createElement('button');
+                toggle.className = 'contents-toggle';
+                toggle.title = '펼치기/접기';
+                toggle.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    li.classList.toggle('collapsed');
+                });
+                row.appendChild(toggle);
+            } else {
+                const spacer = document.createElement('span');
+                spacer.className = 'contents-toggle-spacer';
+                row.appendChild(spacer);
+            }
+
+            const link = document.createElement('button');
+            link.className = 'contents-link';
+            if (item.pageNum) link.dataset.pageNum = item.pageNum;
+
+            const title = document.createElement('span');
+            title.className = 'contents-title';
+            title.textContent = item.title;
+            link.appendChild(title);
+
+            if (item.pageNum) {
+                const pageLabel = document.createElement('span');
+                pageLabel.className = 'contents-page';
+                pageLabel.textContent = item.pageNum;
+                link.appendChild(pageLabel);
+            }
+
+            link.addEventListener('click', () => {
+                if (item.pageNum) {
+                    goToPage(item.pageNum);
+                    if (state.isMobile) toggleContentsPanel(false);
+                } else if (item.url) {
+                    window.open(item.url, '_blank', 'noopener');
+                }
+            });
+
+            row.appendChild(link);
+            li.appendChild(row);
+
+            if (item.children.length > 0) {
+                if (!item.expanded) li.classList.add('collapsed');
+                li.appendChild(createContentsTree(item.children, depth + 1));
+            }
+
+            list.appendChild(li);
+        });
+
+        return list;
+    }
+
+    function createPageThumbnailList() {
+        const list = document.createElement('ul');
+        list.className = 'contents-thumbs';
+
+        for (let i = 1; i <= state.totalPages; i++) {
+            const li = document.createElement('li');
+
+            const link = document.createElement('button');
+            link.className = 'contents-link contents-thumb';
+            link.dataset.pageNum = i;
+
+            const preview = document.createElement('div');
+            preview.className = 'contents-thumb-preview';
+            link.appendChild(preview);
+
+            const pageLabel = document.createElement('span');
+            pageLabel.className = 'contents-page';
+            pageLabel.textContent = i;
+            link.appendChild(pageLabel);
+
+            link.addEventListener('click', () => {
+                goToPage(i);
+                if (state.isMobile) toggleContentsPanel(false);
+            });
+
+            li.appendChild(link);
+            list.appendChild(li);
+        }
+
+        return list;
+    }
+
+    // Render thumbnails for the fallback page list (only once the panel is visible)
+    async function renderContentsThumbnails() {
+        const previews = elements.contentsList.querySelectorAll('.contents-thumb');
+        for (const link of previews) {
+            const preview = link.querySelector('.contents-thumb-preview');
+            if (!state.isContentsOpen || !state.pdfDoc) return;
+            if (preview.querySelector('canvas')) continue;
+
+            const canvas = await createThumbnail(parseInt(link.dataset.pageNum), 96);
+            preview.innerHTML = '';
+            preview.appendChild(canvas);
+        }
+    }
+
+    // Render a small standalone copy of a page (cached canvases can only live in one place in the DOM)
+    async function createThumbnail(pageNum, width) {
+        const height = Math.round(width * (state.basePageHeight / state.basePageWidth));
+        const canvas = copyCanvas(await renderPage(pageNum, width, height));
+        canvas.removeAttribute('style');
+        return canvas;
+    }
+
+    function toggleContentsPanel(force) {
+        const wasOpen = state.isContentsOpen;
+        state.isContentsOpen = typeof force === 'boolean' ? force : !state.isContentsOpen;
+        elements.contentsPanel.classList.toggle('hidden', !state.isContentsOpen);
+        elements.btnContents.classList.toggle('active', state.isContentsOpen);
+        elements.btnContents.setAttribute('aria-expanded', state.isContentsOpen);
+
+        if (state.isContentsOpen) {
+            // Both panels share the left edge
+            toggleBookmarksPanel(false);
+            updateContentsHighlight();
+            renderContentsThumbnails();
+        }
+        if (state.isContentsOpen !== wasOpen) {
+            movePanelFocus(elements.contentsPanel, state.isContentsOpen, elements.btnContents);
+        }
+    }
+
+    function updateContentsHighlight() {
+        const links = elements.contentsList.querySelectorAll('.contents-link[data-page-num]');
+        if (links.length === 0) return;
+
+        // Pages visible in the current view (both halves of a spread in double-page mode)
+        const visibleLast = state.isDoublePageMode && state.currentPage > 1
+            ? Math.min(state.currentPage + 1, state.totalPages)
+            : state.currentPage;
+
+        // The active entry is the last one that starts on or before the visible pages
+        let active = null;
+        let activePage = 0;
+        links.forEach(link => {
+            link.classList.remove('active');
+            const pageNum = parseInt(link.dataset.pageNum);
+            if (pageNum <= visibleLast && pageNum >= activePage) {
+                active = link;
+                activePage = pageNum;
+            }
+        });
+
+        if (!active) return;
+        active.classList.add('active');
+
+        // Expand collapsed parents so the active entry is visible
+        let parent = active.closest('.contents-item.collapsed');
+        while (parent) {
+            parent.classList.remove('collapsed');
+            parent = parent.parentElement.closest('.contents-item.collapsed');
+        }
+
+        if (state.isContentsOpen) {
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // ============================================
+    // Thumbnails (Rail & Page Grid)
+    // ============================================
+
+    let thumbnailObserver = null;
+
+    // Group pages the way the flipbook shows them: [1], [2,3], [4,5]... in double-page mode
+    function getSpreads() {
+        const spreads = [];
+        if (!state.isDoublePageMode) {
+            for (let i = 1; i <= state.totalPages; i++) spreads.push([i]);
+            return spreads;
+        }
+
+        // [1], [2, 3], [4, 5]... as laid out on the sheets, where a fold-out has a spread to itself
+        const sheets = buildSheets();
+        const start = state.pagination.cover ? 1 : 0;
+        if (start) spreads.push([1]);
+        for (let i = start; i < sheets.length; i += 2) {
+            const pages = [...new Set(sheets.slice(i, i + 2).map(sheet => sheet.pageNum).filter(Boolean))];
+            if (pages.length > 0) spreads.push(pages);
+        }
+        return spreads;
+    }
+
+    function toggleThumbnails(force) {
+        const wasOpen = state.isThumbnailsOpen;
+        state.isThumbnailsOpen = typeof force === 'boolean' ? force : !state.isThumbnailsOpen;
+        elements.btnThumbnails.classList.toggle('active', state.isThumbnailsOpen);
+        elements.btnThumbnails.setAttribute('aria-expanded', state.isThumbnailsOpen);
+
+        // Desktop shows a rail along the bottom, mobile a full-screen grid
+        elements.thumbnailRail.classList.toggle('hidden', !state.isThumbnailsOpen || state.isMobile);
+        elements.pageGrid.classList.toggle('hidden', !state.isThumbnailsOpen || !state.isMobile);
+
+        if (state.isThumbnailsOpen) {
+            buildThumbnails();
+            updateThumbnailHighlight();
+        }
+        // The rail sits beside the pages; only the full-screen grid takes focus
+        if (state.isThumbnailsOpen !== wasOpen && state.isMobile) {
+            movePanelFocus(elements.pageGrid, state.isThumbnailsOpen, elements.btnThumbnails);
+        }
+    }
+
+    // Drop previews of the previous document; rebuild if the rail/grid is open
+    function resetThumbnails() {
+        if (thumbnailObserver) thumbnailObserver.disconnect();
+        elements.thumbnailRail.innerHTML = '';
+        elements.pageGridList.innerHTML = '';
+        state.thumbnailLayoutKey = '';
+
+        if (state.isThumbnailsOpen) {
+            buildThumbnails();
+            updateThumbnailHighlight();
+        }
+    }
+
+    function getThumbnailContainer() {
+        return state.isMobile ? elements.pageGridList : elements.thumbnailRail;
+    }
+
+    function buildThumbnails() {
+        if (!state.pdfDoc) return;
+
+        const container = getThumbnailContainer();
+        const layoutKey = `${state.isMobile}-${state.isDoublePageMode}-${state.totalPages}`;
+        if (state.thumbnailLayoutKey === layoutKey && container.childElementCount > 0) return;
+        state.thumbnailLayoutKey = layoutKey;
+
+        elements.thumbnailRail.innerHTML = '';
+        elements.pageGridList.innerHTML = '';
+
+        // Lazy-load previews as they scroll into view
+        if (thumbnailObserver) thumbnailObserver.disconnect();
+        thumbnailObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    thumbnailObserver.unobserve(entry.target);
+                    renderThumbnailGroup(entry.target);
+                }
+            });
+        }, { root: container, rootMargin: '200px' });
+
+        getSpreads().forEach(pages => {
+            const group = document.createElement('button');
+            group.className = 'thumb-group';
+            group.dataset.pages = pages.join(',');
+            group.title = pages.join('-');
+
+            const sheets = document.createElement('div');
+            sheets.className = 'thumb-sheets';
+            pages.forEach(pageNum => {
+                const sheet = document.createElement('div');
+                sheet.className = 'thumb-sheet';
+                sheet.dataset.pageNum = pageNum;
+                sheets.appendChild(sheet);
+            });
+            group.appendChild(sheets);
+
+            const label = document.createElement('span');
+            label.className = 'thumb-label';
+            label.textContent = pages.join('-');
+            group.appendChild(label);
+
+            group.addEventListener('click', () => {
+                goToPage(pages[0]);
+                if (state.isMobile) toggleThumbnails(false);
+            });
+
+            container.appendChild(group);
+            thumbnailObserver.observe(group);
+        });
+    }
+
+    async function renderThumbnailGroup(group) {
+        const width = state.isMobile ? 140 : 64;
+        for (const sheet of group.querySelectorAll('.thumb-sheet')) {
+            if (sheet.querySelector('canvas') || !state.pdfDoc) continue;
+            const canvas = await createThumbnail(parseInt(sheet.dataset.pageNum), width);
+            sheet.appendChild(canvas);
+        }
+    }
+
+    function updateThumbnailHighlight() {
+        if (!state.isThumbnailsOpen) return;
+
+        const container = getThumbnailContainer();
+        let active = null;
+        container.querySelectorAll('.thumb-group').forEach(group => {
+            const pages = group.dataset.pages.split(',').map(Number);
+            const isActive = pages.includes(state.currentPage);
+            group.classList.toggle('active', isActive);
+            if (isActive) active = group;
+        });
+
+        if (active) {
+            active.scrollIntoView({ block: 'nearest', inline: 'center' });
+        }
+    }
+
+    // ============================================
+    // Bookmarks
+    // ============================================
+
+    // Pages showing right now (both halves of a spread in double-page mode)
+    function getVisiblePages() {
+        return state.pageFlip ? getSpreadForPage(state.currentPage) : [];
+    }
+
+    function isBookmarked(pageNum) {
+        return state.bookmarks.some(bookmark => bookmark.page === pageNum);
+    }
+
+    // Adds a bookmark on the current page, or removes the ones on the visible spread
+    function toggleBookmark() {
+        if (!state.pdfDoc) return;
+
+        const visiblePages = getVisiblePages();
+        if (visiblePages.some(isBookmarked)) {
+            state.bookmarks = state.bookmarks.filter(bookmark => !visiblePages.includes(bookmark.page));
+            showToast('책갈피를 삭제했습니다');
+        } else {
+            state.bookmarks.push({ page: state.currentPage, label: '', createdAt: new Date().toISOString() });
+            state.bookmarks.sort((a, b) => a.page - b.page);
+            showToast(`${state.currentPage}쪽에 책갈피를 추가했습니다`);
+        }
+
+        saveBookmarks();
+        updateBookmarkRibbons();
+        updateBookmarkButton();
+        if (state.isBookmarksOpen) renderBookmarksPanel();
+    }
+
+    function removeBookmark(pageNum) {
+        state.bookmarks = state.bookmarks.filter(bookmark => bookmark.page !== pageNum);
+        saveBookmarks();
+        updateBookmarkRibbons();
+        updateBookmarkButton();
+        renderBookmarksPanel();
+    }
+
+    // Cycle through bookmarks after/before the visible pages, wrapping around
+    function goToNextBookmark() {
+        if (state.bookmarks.length === 0) return;
+        const lastVisible = Math.max(...getVisiblePages(), state.currentPage);
+        const next = state.bookmarks.find(bookmark => bookmark.page > lastVisible) || state.bookmarks[0];
+        goToPage(next.page);
+    }
+
+    function goToPrevBookmark() {
+        if (state.bookmarks.length === 0) return;
+        const firstVisible = Math.min(...getVisiblePages(), state.currentPage);
+        const previous = [...state.bookmarks].reverse().find(bookmark => bookmark.page < firstVisible)
+            || state.bookmarks[state.bookmarks.length - 1];
+        goToPage(previous.page);
+    }
+
+    function updateBookmarkRibbons() {
+        elements.flipbook.querySelectorAll('.page[data-page-num]').forEach(pageElement => {
+            pageElement.classList.toggle('bookmarked', isBookmarked(parseInt(pageElement.dataset.pageNum)));
+        });
+    }
+
+    function updateBookmarkButton() {
+        const active = getVisiblePages().some(isBookmarked);
+        elements.btnBookmark.classList.toggle('active', active);
+        elements.btnBookmark.title = active ? '책갈피 삭제 (B)' : '책갈피 추가 (B)';
+        elements.btnBookmark.setAttribute('aria-label', active ? '책갈피 삭제' : '책갈피 추가');
+        elements.btnBookmark.setAttribute('aria-pressed', active);
+    }
+
+    function toggleBookmarksPanel(force) {
+        const wasOpen = state.isBookmarksOpen;
+        state.isBookmarksOpen = typeof force === 'boolean' ? force : !state.isBookmarksOpen;
+        elements.bookmarksPanel.classList.toggle('hidden', !state.isBookmarksOpen);
+        [elements.btnBookmarks, ref('mob-bookmarks')].filter(Boolean).forEach(button => {
+            button.classList.toggle('active', state.isBookmarksOpen);
+            button.setAttribute('aria-expanded', state.isBookmarksOpen);
+        });
+
+        if (state.isBookmarksOpen) {
+            // Both panels share the left edge
+            toggleContentsPanel(false);
+            renderBookmarksPanel();
+        }
+        if (state.isBookmarksOpen !== wasOpen) {
+            // Focus returns to whichever button is on screen
+            const opener = elements.btnBookmarks.getClientRects().length > 0 || !ref('mob-bookmarks')
+                ? elements.btnBookmarks
+                : ref('mob-bookmarks');
+            movePanelFocus(elements.bookmarksPanel, state.isBookmarksOpen, opener);
+        }
+    }
+
+    function renderBookmarksPanel() {
+        elements.bookmarksList.innerHTML = '';
+
+        if (state.bookmarks.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'search-panel-empty';
+            empty.textContent = '책갈피가 없습니다. B 키나 책갈피 버튼으로 추가하세요.';
+            elements.bookmarksList.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'bookmark-list';
+
+        state.bookmarks.forEach(bookmark => {
+            const li = document.createElement('li');
+            li.className = 'bookmark-item';
+
+            const link = document.createElement('button');
+            link.className = 'bookmark-preview';
+            link.title = `${bookmark.page}쪽으로 이동`;
+            link.addEventListener('click', () => {
+                goToPage(bookmark.page);
+                if (state.isMobile) toggleBookmarksPanel(false);
+            });
+
+            const details = document.createElement('div');
+            details.className = 'bookmark-details';
+
+            const labelInput = document.createElement('input');
+            labelInput.type = 'text';
+            labelInput.className = 'bookmark-label';
+            labelInput.value = bookmark.label;
+            labelInput.placeholder = '이름 없음';
+            labelInput.addEventListener('change', () => {
+                bookmark.label = labelInput.value.trim();
+                saveBookmarks();
+            });
+
+            const pageLabel = document.createElement('span');
+            pageLabel.className = 'contents-page';
+            pageLabel.textContent = `${bookmark.page}쪽`;
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'bookmark-remove';
+            removeButton.textContent = '삭제';
+            removeButton.addEventListener('click', () => removeBookmark(bookmark.page));
+
+            details.appendChild(labelInput);
+            details.appendChild(pageLabel);
+            details.appendChild(removeButton);
+            li.appendChild(link);
+            li.appendChild(details);
+            list.appendChild(li);
+
+            createThumbnail(bookmark.page, 72)
+                .then(canvas => link.appendChild(canvas))
+                .catch(() => { /* document closed meanwhile */ });
+        });
+
+        elements.bookmarksList.appendChild(list);
+    }
+
+    function loadBookmarks() {
+        state.bookmarks = [];
+        if (!state.fingerprint) return;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(BOOKMARKS_KEY_PREFIX + state.fingerprint));
+            state.bookmarks = Array.isArray(stored) ? stored.filter(bookmark => Number.isInteger(bookmark.page)) : [];
+        } catch (error) {
+            console.error('Error reading bookmarks:', error);
+        }
+    }
+
+    function saveBookmarks() {
+        if (!state.fingerprint) return;
+
+        const key = BOOKMARKS_KEY_PREFIX + state.fingerprint;
+        try {
+            if (state.bookmarks.length > 0) {
+                localStorage.setItem(key, JSON.stringify(state.bookmarks));
+            } else {
+                localStorage.removeItem(key);
+            }
+        } catch (error) {
+            console.error('Error saving bookmarks:', error);
+            showToast('저장 공간이 부족해 책갈피를 저장하지 못했습니다');
+        }
+    }
+
+    // ============================================
+    // Library (Bookshelf)
+    // ============================================
+
+    async function loadLibrary() {
+        try {
+            const response = await fetch(LIBRARY_MANIFEST_URL);
+            if (!response.ok) return;
+
+            const manifest = await response.json();
+            const books = Array.isArray(manifest) ? manifest : manifest.books;
+            if (!Array.isArray(books)) return;
+
+            state.library = books.filter(book => {
+                if (!book || typeof book.url !== 'string') return false;
+                if (!isAllowedPdfUrl(book.url)) {
+                    console.warn('Skipping library entry from disallowed origin:', book.url);
+                    return false;
+                }
+                return true;
+            });
+
+            if (manifest.title) {
+                elements.libraryTitle.textContent = manifest.title;
+            }
+        } catch (error) {
+            // No manifest - the viewer works as a single-document reader
+            console.warn('Library manifest not available:', error);
+        }
+
+        elements.btnLibrary.classList.toggle('hidden', state.library.length === 0);
+    }
+
+    function showLibrary() {
+        if (state.pdfDoc) {
+            saveReadingProgress();
+            closeDocument();
+        }
+
+        elements.viewerContainer.classList.add('hidden');
+        elements.uploadScreen.classList.add('hidden');
+        elements.libraryScreen.classList.remove('hidden');
+
+        // The shelf has no document or page to link to
+        window.history.replaceState(null, '', window.location.pathname);
+
+        renderLibrary();
+    }
+
+    function openBook(book) {
+        closeDocument();
+
+        // Resume where this book was left
+        const progress = findReadingProgressByUrl(book.url);
+        state.currentPage = progress ? progress.page : 1;
+
+        loadPdfFromUrl(book.url);
+    }
+
+    function renderLibrary() {
+        // Keep already rendered covers when returning to the shelf
+        if (elements.libraryGrid.childElementCount !== state.library.length) {
+            elements.libraryGrid.innerHTML = '';
+            state.library.forEach((book, index) => {
+                elements.libraryGrid.appendChild(createLibraryItem(book, index));
+            });
+        }
+
+        elements.libraryGrid.querySelectorAll('.library-item').forEach(item => {
+            const book = state.library[parseInt(item.dataset.bookIndex)];
+            const bookProgress = findReadingProgressByUrl(book.url);
+            const progressLabel = item.querySelector('.library-progress');
+            const progressBar = item.querySelector('.library-progress-bar span');
+
+            if (bookProgress) {
+                progressLabel.textContent = `${bookProgress.page} / ${bookProgress.totalPages} 페이지`;
+                progressBar.style.width = `${Math.round((bookProgress.page / bookProgress.totalPages) * 100)}%`;
+            } else {
+                progressLabel.textContent = '읽지 않음';
+                progressBar.style.width = '0';
+            }
+        });
+
+        markOfflineBooks();
+        renderLibraryCovers();
+    }
+
+    function createLibraryItem(book, index) {
+        const item = document.createElement('button');
+        item.className = 'library-item';
+        item.dataset.bookIndex = index;
+
+        const cover = document.createElement('div');
+        cover.className = 'library-cover';
+        cover.innerHTML = '<div class="loading-spinner"></div>';
+        item.appendChild(cover);
+
+        const title = document.createElement('h2');
+        title.className = 'library-book-title';
+        title.textContent = book.title || book.url;
+        item.appendChild(title);
+
+        if (book.issueDate) {
+            const date = document.createElement('p');
+            date.className = 'library-date';
+            date.textContent = formatIssueDate(book.issueDate);
+            item.appendChild(date);
+        }
+
+        const progressBar = document.createElement('div');
+        progressBar.className = 'library-progress-bar';
+        progressBar.appendChild(document.createElement('span'));
+        item.appendChild(progressBar);
 
-        elements.flipbook.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-        }, true);
+        const progressLabel = document.createElement('p');
+        progressLabel.className = 'library-progress';
+        item.appendChild(progressLabel);
+
+        item.addEventListener('click', () => openBook(book));
+        return item;
     }
 
-    // Mouse wheel zoom
-    woodenTable.addEventListener('wheel', (e) => {
-        // Ctrl+Wheel is standard for browser zoom, but here we want to hijack it?
-        // Or just simple wheel.
-        // Let's support simple wheel for zoom like a map
-        e.preventDefault();
+    // Cover images come from the manifest when given, otherwise from page 1 of each PDF
+    async function renderLibraryCovers() {
+        for (const item of elements.libraryGrid.querySelectorAll('.library-item')) {
+            const cover = item.querySelector('.library-cover');
+            if (cover.querySelector('canvas, img')) continue;
+            // Stop if a book was opened meanwhile
+            if (elements.libraryScreen.classList.contains('hidden')) return;
+
+            const book = state.library[parseInt(item.dataset.bookIndex)];
+            // Uncached books can't be fetched offline - retry when back online
+            if (!navigator.onLine && !(await isPdfCached(book.url))) continue;
+            if (book.cover) {
+                const img = document.createElement('img');
+                img.src = book.cover;
+                img.alt = book.title || '';
+                cover.innerHTML = '';
+                cover.appendChild(img);
+                continue;
+            }
+
+            let pdfDoc = null;
+            try {
+                // Only the bytes for page 1 are fetched
+                pdfDoc = await pdfjsLib.getDocument({
+                    url: book.url,
+                    rangeChunkSize: PDF_RANGE_CHUNK_SIZE,
+                    disableAutoFetch: true,
+                }).promise;
+                const canvas = await renderPage(1, LIBRARY_COVER_WIDTH, LIBRARY_COVER_HEIGHT, pdfDoc);
+                cover.innerHTML = '';
+                cover.appendChild(canvas);
+            } catch (error) {
+                console.error(`Error rendering cover for ${book.url}:`, error);
+                cover.innerHTML = '';
+                cover.appendChild(createErrorPage(LIBRARY_COVER_WIDTH, LIBRARY_COVER_HEIGHT));
+            } finally {
+                if (pdfDoc) pdfDoc.destroy();
+            }
+        }
+    }
+
+    function formatIssueDate(value) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return value;
+        return date.toLocaleDateString('ko-KR', { year: 'numeric', month: 'long' });
+    }
+
+    // ============================================
+    // Reading Progress
+    // ============================================
+
+    // Zoom changes arrive continuously while pinching/wheeling
+    const saveReadingProgressSoon = debounce(() => saveReadingProgress(), 1000);
+
+    function readReadingHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(READING_HISTORY_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function saveReadingProgress() {
+        if (!state.fingerprint || !state.totalPages) return;
+
+        const history = readReadingHistory();
+        history[state.fingerprint] = {
+            page: state.currentPage,
+            totalPages: state.totalPages,
+            zoom: state.zoom,
+            mode: state.isDoublePageMode ? 'double' : 'single',
+            // Lets the bookshelf find progress without opening each PDF
+            url: state.sourceUrl,
+            updatedAt: Date.now(),
+        };
+
+        // Keep only the most recently read documents
+        const recent = Object.entries(history)
+            .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+            .slice(0, READING_HISTORY_LIMIT);
+
+        try {
+            localStorage.setItem(READING_HISTORY_KEY, JSON.stringify(Object.fromEntries(recent)));
+        } catch (error) {
+            console.warn('Could not save reading progress:', error);
+        }
+    }
 
-        const zoomSpeed = 0.15;
-        const delta = e.deltaY > 0 ? -zoomSpeed : zoomSpeed;
-        const newZoom = Math.min(Math.max(state.zoom + delta, state.minZoom), state.maxZoom);
+    function findReadingProgressByUrl(url) {
+        const entries = Object.values(readReadingHistory())
+            .filter(entry => entry.url === url)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+        return entries[0] || null;
+    }
+
+    // Offer to jump back to where this document was left
+    function offerResume() {
+        const entry = readReadingHistory()[state.fingerprint];
+        if (!entry || entry.page === state.currentPage || entry.page > state.totalPages) return;
+
+        showToast(`지난번 ${entry.page}페이지까지 읽었습니다`, 8000, {
+            label: '이어 읽기',
+            onClick: () => resumeReading(entry),
+        });
+    }
 
-        if (state.zoom !== newZoom) {
-            state.zoom = newZoom;
+    function resumeReading(entry) {
+        if (entry.zoom) {
+            state.zoom = Math.min(Math.max(entry.zoom, state.minZoom), state.maxZoom);
             updateTransform();
             triggerHighResRender();
         }
-    }, { passive: false });
 
-    // Panning (Right Mouse Button)
-    woodenTable.addEventListener('mousedown', (e) => {
-        if (e.button === 2) { // Right mouse button
-            e.stopPropagation();
-            isPanning = true;
-            // Record start position relative to current pan
-            startPanX = e.clientX - state.panX;
-            startPanY = e.clientY - state.panY;
+        // Mobile is always single-page
+        const wantsDouble = entry.mode === 'double';
+        if (!state.isMobile && wantsDouble !== state.isDoublePageMode) {
+            // The rebuilt flipbook starts at state.currentPage
+            state.currentPage = entry.page;
+            toggleViewMode();
+            updatePageIndicator();
+        } else {
+            goToPage(entry.page);
+        }
+    }
 
-            magazineContainer.style.cursor = 'grabbing';
-            e.preventDefault();
+    function clearReadingHistory() {
+        if (!window.confirm('모든 읽기 기록을 삭제할까요?')) return;
+
+        try {
+            localStorage.removeItem(READING_HISTORY_KEY);
+        } catch (error) {
+            console.warn('Could not clear reading history:', error);
         }
-    }, true);
+        showToast('읽기 기록이 삭제되었습니다');
 
-    // Capture mouseup on the table to stop propagation if we were panning with right click
-    woodenTable.addEventListener('mouseup', (e) => {
-        if (e.button === 2 && isPanning) {
-            e.stopPropagation();
-            isPanning = false;
-            magazineContainer.style.cursor = 'grab';
+        if (!elements.libraryScreen.classList.contains('hidden')) {
+            renderLibrary();
         }
-    }, true);
+    }
 
-    document.addEventListener('mousemove', (e) => {
-        if (!isPanning) return;
+    // ============================================
+    // Offline Support
+    // ============================================
+
+    function setupNetworkStatus() {
+        updateNetworkStatus();
+
+        window.addEventListener('online', () => {
+            updateNetworkStatus();
+            showToast('온라인 상태입니다');
+        }, { signal });
+        window.addEventListener('offline', () => {
+            updateNetworkStatus();
+            showToast('오프라인 상태입니다. 저장된 호만 볼 수 있습니다');
+        }, { signal });
+    }
 
-        e.preventDefault();
-        state.panX = e.clientX - startPanX;
-        state.panY = e.clientY - startPanY;
-        updateTransform();
-    });
+    function updateNetworkStatus() {
+        elements.networkStatus.classList.toggle('hidden', navigator.onLine);
+        if (!elements.libraryScreen.classList.contains('hidden')) {
+            markOfflineBooks();
+            renderLibraryCovers();
+        }
+    }
+
+    // Store the full file in Cache Storage; sw.js serves it (and byte ranges of it) from there
+    async function cachePdfForOffline(pdfDoc, url) {
+        if (!('caches' in window)) return;
+
+        try {
+            const absoluteUrl = new URL(url, window.location.href).href;
+            const cache = await caches.open(PDF_CACHE_NAME);
+            if (await cache.match(absoluteUrl)) return;
+
+            // Resolves once every byte has been fetched
+            const data = await pdfDoc.getData();
+            const headers = {
+                'Content-Type': 'application/pdf',
+                'Content-Length': String(data.byteLength),
+                'Accept-Ranges': 'bytes',
+            };
+
+            // Validators let sw.js notice when the file is re-published at the same URL
+            const head = await fetch(absoluteUrl, { method: 'HEAD', cache: 'no-cache' }).catch(() => null);
+            if (head && head.ok) {
+                for (const name of ['ETag', 'Last-Modified']) {
+                    if (head.headers.get(name)) headers[name] = head.headers.get(name);
+                }
+            }
 
-    document.addEventListener('mouseup', (e) => {
-        if (e.button === 2 && isPanning) {
-            isPanning = false;
-            magazineContainer.style.cursor = 'grab';
+            await cache.put(absoluteUrl, new Response(data, { headers }));
+        } catch (error) {
+            console.warn('Could not cache PDF for offline reading:', error);
         }
-    });
+    }
 
-    // Mobile pinch-zoom + Two-finger Pan support
-    let initialPinchDistance = 0;
-    let initialPinchZoom = 1;
-    let initialPinchCenter = { x: 0, y: 0 };
-    let initialPanState = { x: 0, y: 0 };
+    async function isPdfCached(url) {
+        if (!('caches' in window)) return false;
 
-    magazineContainer.addEventListener('touchstart', (e) => {
-        if (e.touches.length === 2) {
-            // Stop propagation to prevent page flip engine from interpreting this as a swipe
-            e.stopPropagation();
+        try {
+            const cache = await caches.open(PDF_CACHE_NAME);
+            return !!(await cache.match(new URL(url, window.location.href).href));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Flag shelf entries that can (or can't) be opened without a network
+    async function markOfflineBooks() {
+        for (const item of elements.libraryGrid.querySelectorAll('.library-item')) {
+            const book = state.library[parseInt(item.dataset.bookIndex)];
+            const cached = await isPdfCached(book.url);
+            item.classList.toggle('offline-ready', cached);
+            item.classList.toggle('unavailable', !cached && !navigator.onLine);
+        }
+    }
+
+    // ============================================
+    // View Mode
+    // ============================================
+
+    function toggleViewMode() {
+        // Prevent switching to double-page mode on mobile
+        if (state.isMobile && !state.isDoublePageMode) {
+            showToast('모바일에서는 양면 보기를 지원하지 않습니다');
+            return;
+        }
+
+        state.isDoublePageMode = !state.isDoublePageMode;
+        applyViewModeUI();
+        saveReadingProgress();
+
+        // Reinitialize flipbook
+        if (state.pdfDoc) {
+            rebuildFlipbook();
+        }
+
+        updateCreaseVisibility();
+        updateUrl();
+
+        // Spread grouping changed - rebuild thumbnails
+        if (state.isThumbnailsOpen) {
+            toggleThumbnails(true);
+        }
+    }
+
+    function applyViewModeUI() {
+        // Update icons
+        elements.iconSingle.classList.toggle('hidden', state.isDoublePageMode);
+        elements.iconDouble.classList.toggle('hidden', !state.isDoublePageMode);
+
+        // Update flipbook class for styling
+        elements.flipbook.classList.toggle('single-mode', !state.isDoublePageMode);
+    }
+
+    function updateCreaseVisibility() {
+        elements.creaseOverlay.classList.toggle('hidden', !state.isDoublePageMode);
+    }
+
+    // Update cover state for hiding empty side placeholders
+    function updateCoverState() {
+        const wrapper = root.querySelector('.stf__wrapper');
+        if (!wrapper || !state.pageFlip) return;
+
+        const currentIndex = state.pageFlip.getCurrentPageIndex();
+        const count = state.pageFlip.getPageCount();
+        // In single-page mode every sheet is on its own
+        const isFirstAlone = !state.isDoublePageMode || isFirstSheetAlone();
+        const isLastAlone = !state.isDoublePageMode || (count - (isFirstAlone ? 1 : 0)) % 2 === 1;
+
+        // Check if we're at the flipbook's first sheet alone on the right or last alone on the left.
+        // In a right-to-left book those are the back and front covers.
+        if (currentIndex === 0 && isFirstAlone) {
+            wrapper.dataset.atCover = 'front';
+        } else if (currentIndex >= count - 1 && isLastAlone) {
+            wrapper.dataset.atCover = 'back';
+        } else {
+            delete wrapper.dataset.atCover;
+        }
+    }
+
+    // ============================================
+    // Reading Direction
+    // ============================================
+
+    // A deep link wins, then the reader's choice for this document, then the library manifest
+    function loadReadingDirection() {
+        let stored = null;
+        if (state.fingerprint) {
+            try {
+                stored = localStorage.getItem(DIRECTION_KEY_PREFIX + state.fingerprint);
+            } catch (error) {
+                console.error('Error reading reading direction:', error);
+            }
+        }
+        const book = state.library.find(entry => entry.url === state.sourceUrl);
+        const direction = state.requestedDirection || stored || (book && book.direction) || 'ltr';
+
+        state.requestedDirection = null;
+        state.isRtl = direction === 'rtl';
+        applyReadingDirectionUI();
+    }
+
+    function toggleReadingDirection() {
+        state.isRtl = !state.isRtl;
+        if (state.fingerprint) {
+            try {
+                localStorage.setItem(DIRECTION_KEY_PREFIX + state.fingerprint, state.isRtl ? 'rtl' : 'ltr');
+            } catch (error) {
+                console.warn('Could not save reading direction:', error);
+            }
+        }
+        applyReadingDirectionUI();
+        showToast(state.isRtl ? '오른쪽 제본: 오른쪽에서 왼쪽으로 넘깁니다' : '왼쪽 제본: 왼쪽에서 오른쪽으로 넘깁니다');
+
+        // Reload the pages in the new order
+        if (state.pdfDoc) {
+            rebuildFlipbook();
+        }
+        updateUrl();
+    }
+
+    function applyReadingDirectionUI() {
+        elements.btnDirection.classList.toggle('active', state.isRtl);
+        elements.btnDirection.setAttribute('aria-pressed', state.isRtl);
+        // Mirrors the flip guides, the page revealed while flipping and the thumbnails
+        root.classList.toggle('reading-rtl', state.isRtl);
+
+        // The left-hand arrows turn forward in a right-to-left book
+        const [leftLabel, rightLabel] = state.isRtl ? ['다음 페이지', '이전 페이지'] : ['이전 페이지', '다음 페이지'];
+        [elements.btnPrev, ref('mob-prev')].filter(Boolean).forEach(button => {
+            button.title = leftLabel;
+            button.setAttribute('aria-label', leftLabel);
+        });
+        [elements.btnNext, ref('mob-next')].filter(Boolean).forEach(button => {
+            button.title = rightLabel;
+            button.setAttribute('aria-label', rightLabel);
+        });
+        updateFlipGuides();
+    }
 
-            initialPinchDistance = getDistance(e.touches[0], e.touches[1]);
-            initialPinchZoom = state.zoom;
-            initialPinchCenter = getCenter(e.touches[0], e.touches[1]);
-            initialPanState = { x: state.panX, y: state.panY };
+    // ============================================
+    // Pagination
+    // ============================================
+
+    // The reader's choices for this document, with a deep link's on top
+    function loadPagination() {
+        let stored = null;
+        if (state.fingerprint) {
+            try {
+                stored = JSON.parse(localStorage.getItem(PAGINATION_KEY_PREFIX + state.fingerprint));
+            } catch (error) {
+                console.error('Error reading pagination:', error);
+            }
         }
-    }, { passive: false }); // passive: false needed to allow preventDefault? Actually capture is better?
 
-    magazineContainer.addEventListener('touchmove', (e) => {
-        if (e.touches.length === 2) {
-            e.preventDefault(); // Prevent browser zoom/scroll
-            e.stopPropagation(); // Prevent page flip
+        state.paginationOverrides = { ...stored, ...state.requestedPagination };
+        state.requestedPagination = null;
+    }
+
+    // Fills in the options not overridden, guessing from page sizes once the sheets are sized:
+    // - a first page as wide as a spread means the document was exported in spreads, without a cover
+    // - a blank after the cover can't be told from sizes, so it is left off
+    // - a last page on the cover's paper (sized like page 1, unlike the middle pages) is a back cover;
+    //   otherwise the last page stands alone only when it falls that way
+    function detectPagination(overrides) {
+        const pick = (option, detected) => typeof overrides[option] === 'boolean' ? overrides[option] : detected;
+        const sizes = state.pageSizes;
+        const isSameSize = (a, b) => Boolean(a && b)
+            && Math.abs(a.width - b.width) <= b.width * 0.02
+            && Math.abs(a.height - b.height) <= b.height * 0.02;
+
+        const cover = pick('cover', !isFoldOut(1));
+        const blankAfterCover = pick('blankAfterCover', false);
+        const [first] = sizes;
+        const last = sizes[sizes.length - 1];
+        const middle = sizes[Math.floor(sizes.length / 2)];
+        const isCoverStock = sizes.length > 2 && isSameSize(last, first) && !isSameSize(first, middle);
+
+        const sheets = buildSheets({ cover, blankAfterCover, backCover: false });
+        const fallsAlone = sheets.length > 1 && !sheets[sheets.length - 1].pageNum;
+
+        return { cover, blankAfterCover, backCover: pick('backCover', isCoverStock || fallsAlone) };
+    }
+
+    function resolvePagination() {
+        state.pagination = detectPagination(state.paginationOverrides);
+        updatePaginationControls();
+    }
 
-            // 1. PINCH ZOOM
-            const distance = getDistance(e.touches[0], e.touches[1]);
-            if (initialPinchDistance > 0) {
-                const scale = distance / initialPinchDistance;
-                state.zoom = Math.min(Math.max(initialPinchZoom * scale, state.minZoom), state.maxZoom);
+    // Overrides for this document ({} to detect everything again), remembered and laid out anew
+    function setPaginationOverrides(overrides) {
+        state.paginationOverrides = overrides;
+        if (state.fingerprint) {
+            const key = PAGINATION_KEY_PREFIX + state.fingerprint;
+            try {
+                if (Object.keys(overrides).length > 0) {
+                    localStorage.setItem(key, JSON.stringify(overrides));
+                } else {
+                    localStorage.removeItem(key);
+                }
+            } catch (error) {
+                console.warn('Could not save pagination:', error);
             }
+        }
+
+        if (state.pdfDoc) {
+            rebuildFlipbook();
+        } else {
+            updatePaginationControls();
+        }
+        updateUrl();
+    }
+
+    function togglePaginationBar(force) {
+        const wasOpen = state.isPaginationOpen;
+        state.isPaginationOpen = typeof force === 'boolean' ? force : !state.isPaginationOpen;
+        if (state.isPaginationOpen) closeOtherBars('pagination');
+        elements.paginationBar.classList.toggle('hidden', !state.isPaginationOpen);
+        updatePaginationControls();
+        if (state.isPaginationOpen !== wasOpen) {
+            movePanelFocus(elements.paginationBar, state.isPaginationOpen, elements.btnPagination);
+        }
+    }
 
-            // 2. TWO-FINGER PAN
-            const currentCenter = getCenter(e.touches[0], e.touches[1]);
-            const deltaX = currentCenter.x - initialPinchCenter.x;
-            const deltaY = currentCenter.y - initialPinchCenter.y;
+    function updatePaginationControls() {
+        elements.btnPagination.classList.toggle('active', state.isPaginationOpen);
+        elements.btnPagination.setAttribute('aria-expanded', state.isPaginationOpen);
+        elements.paginationButtons.forEach(button => {
+            const isOn = state.pagination[button.dataset.pagination];
+            button.classList.toggle('active', isOn);
+            button.setAttribute('aria-pressed', isOn);
+        });
+        const isAuto = Object.keys(state.paginationOverrides).length === 0;
+        elements.btnPaginationAuto.classList.toggle('active', isAuto);
+        elements.btnPaginationAuto.setAttribute('aria-pressed', isAuto);
+    }
 
-            state.panX = initialPanState.x + deltaX;
-            state.panY = initialPanState.y + deltaY;
+    // ============================================
+    // Zoom
+    // ============================================
 
+    function zoomIn() {
+        if (state.zoom < state.maxZoom) {
+            state.zoom = Math.min(state.zoom + 0.25, state.maxZoom);
             updateTransform();
-        } else if (state.isMobilePanMode && e.touches.length === 1) {
-            // Single finger pan in Pan Mode
-            e.preventDefault();
-            e.stopPropagation();
-            // Logic for 1-finger pan needs distinct start tracking
-            // For now, let's rely on 2-finger pan or the toggle buttons we add below
+            triggerHighResRender();
         }
-    }, { passive: false });
+    }
 
-    function getDistance(touch1, touch2) {
-        const dx = touch1.clientX - touch2.clientX;
-        const dy = touch1.clientY - touch2.clientY;
-        return Math.sqrt(dx * dx + dy * dy);
+    function zoomOut() {
+        if (state.zoom > state.minZoom) {
+            state.zoom = Math.max(state.zoom - 0.25, state.minZoom);
+            updateTransform();
+            triggerHighResRender();
+        }
     }
 
-    function getCenter(touch1, touch2) {
-        return {
-            x: (touch1.clientX + touch2.clientX) / 2,
-            y: (touch1.clientY + touch2.clientY) / 2
-        };
+    function resetZoom() {
+        state.zoom = 1;
+        state.panX = 0;
+        state.panY = 0;
+        state.panY = 0;
+        updateTransform();
+        // No need to high-res render on reset (zoom 1), but good practice to clear if needed
+    }
+
+    // ============================================
+    // Fullscreen
+    // ============================================
+
+    // The main viewer takes over the whole page; an embedded one enlarges just its container
+    const fullscreenTarget = options.main ? document.documentElement : root;
+
+    function toggleFullscreen() {
+        if (!document.fullscreenElement) {
+            fullscreenTarget.requestFullscreen().catch(err => {
+                console.error('Error entering fullscreen:', err);
+                showToast('전체 화면을 사용할 수 없습니다');
+            });
+        } else {
+            document.exitFullscreen();
+        }
+    }
+
+    function handleFullscreenChange() {
+        const isFullscreen = document.fullscreenElement === fullscreenTarget;
+        // Another viewer entering or leaving fullscreen
+        if (isFullscreen === state.isFullscreen) return;
+        state.isFullscreen = isFullscreen;
+
+        // Leaving fullscreen (e.g. with Esc) ends a presentation
+        if (!state.isFullscreen && state.isPresenting) {
+            stopPresentation();
+        }
+
+        // Update button icon (could toggle between expand/compress icons)
+        if (state.isFullscreen) {
+            showToast('ESC를 눌러 전체 화면 종료');
+        }
+
+        // Resize flipbook
+        setTimeout(() => handleResize(), 100);
+    }
+
+    // ============================================
+    // Presentation
+    // ============================================
+
+    let presentationTimer = null; // refreshes the countdown and turns the page while playing
+    let presentationDeadline = 0; // when the next page turns
+    let kioskTimeout = null;
+
+    function setupPresentation() {
+        state.presentationSettings = readPresentationSettings();
+
+        elements.btnPresentation.addEventListener('click', () => togglePresentationBar());
+        elements.btnPresentationStart.addEventListener('click', startPresentation);
+        elements.presentationInterval.addEventListener('change', () => {
+            updatePresentationSettings({ interval: parseInt(elements.presentationInterval.value) });
+        });
+        elements.btnPresentationLoop.addEventListener('click', () => {
+            updatePresentationSettings({ loop: !state.presentationSettings.loop });
+        });
+        elements.presentationKiosk.addEventListener('change', () => {
+            updatePresentationSettings({ kioskIdle: parseInt(elements.presentationKiosk.value) });
+        });
+        elements.btnPresenterPause.addEventListener('click', togglePresentationPause);
+        elements.btnPresenterExit.addEventListener('click', stopPresentation);
+
+        // Touching the pages pauses the slideshow; the presenter controls only keep the kiosk awake
+        ['pointerdown', 'wheel'].forEach(type => {
+            root.addEventListener(type, (e) => {
+                if (!state.isPresenting) return;
+                if (!elements.presenterHud.contains(e.target)) pausePresentation();
+                restartKioskTimer();
+            }, { capture: true, passive: true });
+        });
+
+        updatePresentationControls();
+    }
+
+    function togglePresentationBar(force) {
+        const wasOpen = state.isPresentationOpen;
+        state.isPresentationOpen = typeof force === 'boolean' ? force : !state.isPresentationOpen;
+        if (state.isPresentationOpen) closeOtherBars('presentation');
+        elements.presentationBar.classList.toggle('hidden', !state.isPresentationOpen);
+        updatePresentationControls();
+        if (state.isPresentationOpen !== wasOpen) {
+            movePanelFocus(elements.presentationBar, state.isPresentationOpen, elements.btnPresentation);
+        }
+    }
+
+    function updatePresentationControls() {
+        const { interval, loop, kioskIdle } = state.presentationSettings;
+        elements.btnPresentation.classList.toggle('active', state.isPresentationOpen);
+        elements.btnPresentation.setAttribute('aria-expanded', state.isPresentationOpen);
+        elements.presentationInterval.value = interval;
+        elements.btnPresentationLoop.classList.toggle('active', loop);
+        elements.btnPresentationLoop.setAttribute('aria-pressed', loop);
+        elements.presentationKiosk.value = kioskIdle;
+    }
+
+    function readPresentationSettings() {
+        try {
+            return { ...DEFAULT_PRESENTATION_SETTINGS, ...JSON.parse(localStorage.getItem(PRESENTATION_SETTINGS_KEY)) };
+        } catch (error) {
+            return { ...DEFAULT_PRESENTATION_SETTINGS };
+        }
+    }
+
+    function updatePresentationSettings(changes) {
+        Object.assign(state.presentationSettings, changes);
+        try {
+            localStorage.setItem(PRESENTATION_SETTINGS_KEY, JSON.stringify(state.presentationSettings));
+        } catch (error) {
+            console.warn('Could not save presentation settings:', error);
+        }
+        updatePresentationControls();
+    }
+
+    // Fullscreen without the toolbar, turning pages on a timer
+    function startPresentation() {
+        if (!state.pdfDoc || state.isPresenting) return;
+
+        while (closeTopPanel()) { /* close every panel and bar */ }
+        state.isPresenting = true;
+        root.classList.add('presenting');
+        elements.presenterHud.classList.remove('hidden');
+
+        // The pages are laid out again over the toolbar's space once fullscreen has resized the viewer
+        if (document.fullscreenElement !== fullscreenTarget) {
+            toggleFullscreen();
+        } else {
+            handleResize();
+        }
+
+        resumePresentation();
+    }
+
+    function stopPresentation() {
+        if (!state.isPresenting) return;
+
+        state.isPresenting = false;
+        state.isPresentationPaused = false;
+        clearInterval(presentationTimer);
+        clearTimeout(kioskTimeout);
+        root.classList.remove('presenting');
+        elements.presenterHud.classList.add('hidden');
+
+        if (document.fullscreenElement === fullscreenTarget) {
+            document.exitFullscreen();
+        } else {
+            setTimeout(() => handleResize(), 100);
+        }
+    }
+
+    function pausePresentation() {
+        if (!state.isPresenting || state.isPresentationPaused) return;
+        state.isPresentationPaused = true;
+        clearInterval(presentationTimer);
+        updatePresenterHud();
+    }
+
+    function resumePresentation() {
+        if (!state.isPresenting) return;
+        state.isPresentationPaused = false;
+        clearTimeout(kioskTimeout);
+
+        // A slideshow that stopped at the end starts over
+        if (isAtLastPage() && !state.presentationSettings.loop) {
+            goToPage(1);
+        }
+        schedulePresentationTurn();
+    }
+
+    // From the presenter's P / Space or pause button
+    function togglePresentationPause() {
+        if (state.isPresentationPaused) {
+            resumePresentation();
+        } else {
+            pausePresentation();
+            restartKioskTimer();
+        }
+    }
+
+    function schedulePresentationTurn() {
+        clearInterval(presentationTimer);
+        presentationDeadline = Date.now() + state.presentationSettings.interval * 1000;
+        presentationTimer = setInterval(tickPresentation, PRESENTATION_TICK);
+        updatePresenterHud();
+    }
+
+    function tickPresentation() {
+        if (Date.now() < presentationDeadline) {
+            updatePresenterHud();
+            return;
+        }
+
+        if (!isAtLastPage()) {
+            goToNextPage();
+        } else if (state.presentationSettings.loop) {
+            goToPage(1);
+        } else {
+            // Stay on the last page until resumed, or until the kiosk timer starts over
+            pausePresentation();
+            restartKioskTimer();
+            return;
+        }
+        schedulePresentationTurn();
+    }
+
+    // Kiosk mode: once a visitor has paused the slideshow, or it stopped at the end, and it has
+    // been left alone for a while, back to the cover and playing again. Called on every interaction; a playing show needs no reset.
+    function restartKioskTimer() {
+        clearTimeout(kioskTimeout);
+        const idle = state.presentationSettings.kioskIdle;
+        if (!state.isPresenting || !state.isPresentationPaused || !idle) return;
+
+        kioskTimeout = setTimeout(() => {
+            while (closeTopPanel()) { /* close every panel and bar */ }
+            resetZoom();
+            if (state.currentPage !== 1) goToPage(1);
+            state.isPresentationPaused = false;
+            schedulePresentationTurn();
+        }, idle * 1000);
+    }
+
+    // Pages on screen and the time to the next turn, for the presenter
+    function updatePresenterHud() {
+        if (!state.isPresenting) return;
+
+        let status;
+        if (!state.isPresentationPaused) {
+            status = `${Math.max(Math.ceil((presentationDeadline - Date.now()) / 1000), 0)}초 뒤 넘김`;
+        } else if (isAtLastPage() && !state.presentationSettings.loop) {
+            status = '마지막 페이지';
+        } else {
+            status = '일시 정지';
+        }
+        elements.presenterStatus.textContent = `${getVisiblePages().join('-')} / ${state.totalPages} · ${status}`;
+
+        const label = state.isPresentationPaused ? '계속 (P)' : '일시 정지 (P)';
+        elements.btnPresenterPause.title = label;
+        elements.btnPresenterPause.setAttribute('aria-label', label);
+        elements.iconPresenterPause.classList.toggle('hidden', state.isPresentationPaused);
+        elements.iconPresenterPlay.classList.toggle('hidden', !state.isPresentationPaused);
+    }
+
+    // ============================================
+    // Reading Analytics
+    // ============================================
+
+    const analyticsConfig = { endpoint: ANALYTICS_ENDPOINT, sink: ANALYTICS_SINK, ...options.analytics };
+    // Ties together the events of one visit, without identifying the reader
+    const analyticsSession = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    let analyticsQueue = [];
+    let analyticsFlushTimeout = null;
+    let dwell = null; // { pages, start } for the spread on screen
+    let trackedZoom = 1;
+    let zoomTrackTimeout = null;
+    let trackedSearchQuery = '';
+
+    function isAnalyticsConfigured() {
+        return analyticsConfig.sink === 'console' || analyticsConfig.sink === 'localStorage'
+            || Boolean(analyticsConfig.endpoint);
+    }
+
+    function setupAnalytics() {
+        if (!isAnalyticsConfigured()) {
+            elements.btnAnalytics.remove();
+            elements.btnAnalyticsConsent.remove();
+            return;
+        }
+
+        state.analyticsConsent = readAnalyticsConsent();
+        elements.btnAnalytics.addEventListener('click', toggleAnalyticsConsent);
+        elements.btnAnalyticsConsent.addEventListener('click', toggleAnalyticsConsent);
+        updateAnalyticsButton();
+
+        // Dwell time stops while the tab is hidden, and the queue goes out before the page may be closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                endDwell();
+                flushAnalytics();
+            } else {
+                startDwell();
+            }
+        }, { signal });
+        window.addEventListener('pagehide', () => {
+            endDwell();
+            flushAnalytics();
+        }, { signal });
+    }
+
+    function readAnalyticsConsent() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(ANALYTICS_CONSENT_KEY);
+        } catch (error) {
+            console.error('Error reading analytics consent:', error);
+        }
+        return stored ? stored === 'granted' : navigator.doNotTrack !== '1';
     }
 
-    // Double-click to toggle zoom
-    elements.flipbook.addEventListener('dblclick', (e) => {
-        toggleZoom();
-    });
-}
+    function toggleAnalyticsConsent() {
+        if (state.analyticsConsent) {
+            // Nothing more leaves the browser, including what is still queued
+            dwell = null;
+            analyticsQueue = [];
+            state.analyticsConsent = false;
+        } else {
+            state.analyticsConsent = true;
+            startDwell();
+        }
+        try {
+            localStorage.setItem(ANALYTICS_CONSENT_KEY, state.analyticsConsent ? 'granted' : 'denied');
+        } catch (error) {
+            console.warn('Could not save analytics consent:', error);
+        }
+        updateAnalyticsButton();
+        showToast(state.analyticsConsent ? '읽기 통계를 보냅니다' : '읽기 통계를 보내지 않습니다');
+    }
+
+    function updateAnalyticsButton() {
+        const label = state.analyticsConsent ? '읽기 통계 보내기 끄기' : '읽기 통계 보내기 켜기';
+        elements.btnAnalytics.classList.toggle('active', state.analyticsConsent);
+        elements.btnAnalytics.setAttribute('aria-pressed', state.analyticsConsent);
+        elements.btnAnalytics.title = label;
+        elements.btnAnalytics.setAttribute('aria-label', label);
+        elements.btnAnalyticsConsent.classList.toggle('active', state.analyticsConsent);
+        elements.btnAnalyticsConsent.setAttribute('aria-pressed', state.analyticsConsent);
+        elements.btnAnalyticsConsent.title = label;
+    }
+
+    // Queues { type, time, session, document, source, ...data } for the next batch
+    function trackEvent(type, data = {}) {
+        if (!isAnalyticsConfigured() || !state.analyticsConsent || !state.fingerprint) return;
+
+        analyticsQueue.push({
+            type,
+            time: new Date().toISOString(),
+            session: analyticsSession,
+            document: state.fingerprint,
+            source: state.sourceUrl,
+            ...data,
+        });
+        if (analyticsQueue.length > ANALYTICS_QUEUE_LIMIT) {
+            analyticsQueue.splice(0, analyticsQueue.length - ANALYTICS_QUEUE_LIMIT);
+        }
+
+        if (analyticsQueue.length >= ANALYTICS_BATCH_SIZE) {
+            flushAnalytics();
+        } else if (!analyticsFlushTimeout) {
+            analyticsFlushTimeout = setTimeout(flushAnalytics, ANALYTICS_FLUSH_INTERVAL);
+        }
+    }
+
+    function flushAnalytics() {
+        clearTimeout(analyticsFlushTimeout);
+        analyticsFlushTimeout = null;
+        if (analyticsQueue.length === 0) return;
+
+        const events = analyticsQueue;
+        analyticsQueue = [];
 
-function updateTransform() {
-    const magazineContainer = document.getElementById('magazine-container');
-    if (!magazineContainer) return;
-
-    magazineContainer.style.transform = `translate(${state.panX}px, ${state.panY}px) scale(${state.zoom})`;
-    // Only animate if we are NOT panning (panning should be instant)
-    // We can infer panning state or just leave it instant?
-    // Transition looks nice for Zoom In Click, but bad for Wheel/Pan.
-    // Let's set transition based on source? Hard to pass.
-    // Default to fast/none for responsiveness.
-    // Or set strictly in CSS and remove inline?
-    // Let's use simple logic:
-    magazineContainer.style.transition = 'none';
-    // If we want smooth zoom for buttons, we can add class or handle it.
-}
+        if (analyticsConfig.sink === 'console') {
+            console.info('YaleBook analytics:', events);
+        } else if (analyticsConfig.sink === 'localStorage') {
+            appendAnalyticsLog(events);
+        } else {
+            // text/plain keeps the beacon a simple request, so another origin needs no CORS preflight
+            const body = new Blob([JSON.stringify({ events })], { type: 'text/plain;charset=UTF-8' });
+            if (!navigator.sendBeacon(analyticsConfig.endpoint, body)) {
+                // Not accepted (e.g. over the size limit) - try again with the next batch
+                analyticsQueue = events.concat(analyticsQueue).slice(-ANALYTICS_QUEUE_LIMIT);
+            }
+        }
+    }
 
-function toggleZoom() {
-    if (state.zoom === 1) {
-        state.zoom = 1.8;
-        // Optionally center on click? For now, simple center zoom
-        state.panX = 0;
-        state.panY = 0;
-    } else {
-        state.zoom = 1;
-        state.panX = 0;
-        state.panY = 0;
+    function appendAnalyticsLog(events) {
+        try {
+            const log = JSON.parse(localStorage.getItem(ANALYTICS_LOG_KEY)) || [];
+            log.push(...events);
+            localStorage.setItem(ANALYTICS_LOG_KEY, JSON.stringify(log.slice(-ANALYTICS_QUEUE_LIMIT)));
+        } catch (error) {
+            console.error('Error writing analytics log:', error);
+        }
     }
-    updateTransform();
-}
 
-// ============================================
-// Navigation
-// ============================================
+    function startAnalyticsSession() {
+        trackedZoom = state.zoom;
+        trackedSearchQuery = '';
+        trackEvent('open', { page: state.currentPage, totalPages: state.totalPages });
+        startDwell();
+    }
 
-function goToPrevPage() {
-    if (state.pageFlip) {
-        state.pageFlip.flipPrev();
+    function endAnalyticsSession() {
+        trackZoom(); // A zoom still settling belongs to this document
+        endDwell();
+        flushAnalytics();
     }
-}
 
-function goToNextPage() {
-    if (state.pageFlip) {
-        state.pageFlip.flipNext();
+    function trackPageTurn(previousPage) {
+        if (state.currentPage === previousPage) return;
+        endDwell();
+        trackEvent('flip', { from: previousPage, to: state.currentPage, pages: getVisiblePages() });
+        startDwell();
     }
-}
 
-function goToPage(pageNum) {
-    if (state.pageFlip && pageNum >= 1 && pageNum <= state.totalPages) {
-        state.pageFlip.flip(pageNum - 1);
-        state.currentPage = pageNum;
-        updatePageIndicator();
+    // Time spent on each spread, reported when the reader moves on, hides the tab or leaves
+    function startDwell() {
+        endDwell();
+        if (!state.pageFlip || !state.analyticsConsent || document.visibilityState === 'hidden') return;
+        dwell = { pages: getVisiblePages(), start: Date.now() };
     }
-}
 
-function handlePageInputChange() {
-    const pageNum = parseInt(elements.pageInput.value);
-    if (pageNum >= 1 && pageNum <= state.totalPages) {
-        goToPage(pageNum);
-    } else {
-        elements.pageInput.value = state.currentPage;
+    function endDwell() {
+        if (!dwell) return;
+        const duration = Date.now() - dwell.start;
+        if (duration >= ANALYTICS_MIN_DWELL) {
+            trackEvent('dwell', { pages: dwell.pages, duration });
+        }
+        dwell = null;
     }
-}
 
-function updatePageIndicator() {
-    elements.pageInput.value = state.currentPage;
-}
+    // Recorded once zooming settles, so a pinch or a run of clicks is one event.
+    // Not armed without a document, so the zoom reset as one closes is never recorded.
+    function trackZoomSoon() {
+        clearTimeout(zoomTrackTimeout);
+        if (!state.fingerprint) return;
+        zoomTrackTimeout = setTimeout(trackZoom, 1000);
+    }
 
-function updateUrl() {
-    window.history.replaceState(null, '', `#page=${state.currentPage}`);
-}
+    function trackZoom() {
+        clearTimeout(zoomTrackTimeout);
+        if (state.zoom === trackedZoom) return;
+        trackEvent('zoom', { from: trackedZoom, to: state.zoom, page: state.currentPage });
+        trackedZoom = state.zoom;
+    }
 
-// ============================================
-// Search
-// ============================================
+    // Recorded once typing settles, not for every keystroke
+    const trackSearchSoon = debounce(() => {
+        const query = state.currentSearchQuery;
+        if (!query || query === trackedSearchQuery) return;
+        trackEvent('search', { query, results: state.searchResults.length, indexing: state.isIndexing });
+        trackedSearchQuery = query;
+    }, 1500);
 
-function handleSearch() {
-    const query = elements.searchInput.value.toLowerCase().trim();
+    // ============================================
+    // Share
+    // ============================================
 
-    // Clear existing highlights
-    clearSearchHighlights();
+    function shareLink() {
+        // Make sure zoom, mode and search are captured, not just the page
+        updateUrl();
+        const url = getShareUrl();
 
-    if (!query) {
-        state.searchResults = [];
-        state.currentSearchIndex = -1;
-        state.currentSearchQuery = '';
-        elements.searchResults.textContent = '';
-        return;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(() => {
+                showToast('링크가 복사되었습니다!');
+            }).catch(() => {
+                fallbackCopyToClipboard(url);
+            });
+        } else {
+            fallbackCopyToClipboard(url);
+        }
     }
 
-    state.currentSearchQuery = query;
-    state.searchResults = [];
+    function fallbackCopyToClipboard(text, successMessage = 'Link copied to clipboard!') {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
 
-    for (let i = 1; i <= state.totalPages; i++) {
-        const pageText = state.pageTexts.get(i) || '';
-        if (pageText.includes(query)) {
-            state.searchResults.push(i);
+        try {
+            document.execCommand('copy');
+            showToast(successMessage);
+        } catch (err) {
+            showToast('Failed to copy link');
         }
-    }
 
-    if (state.searchResults.length > 0) {
-        state.currentSearchIndex = 0;
-        goToPage(state.searchResults[0]);
-        updateSearchIndicator();
-        // Highlight after navigating
-        setTimeout(() => highlightSearchMatches(query), 100);
-    } else {
-        state.currentSearchIndex = -1;
-        elements.searchResults.textContent = '결과 없음';
+        document.body.removeChild(textarea);
     }
-}
-
-function clearSearchHighlights() {
-    const highlights = document.querySelectorAll('.text-layer span.highlight');
-    highlights.forEach(span => span.classList.remove('highlight'));
-}
 
-function highlightSearchMatches(query) {
-    if (!query) return;
+    // ============================================
+    // Keyboard Navigation
+    // ============================================
 
-    const textLayers = document.querySelectorAll('.text-layer');
-    textLayers.forEach(layer => {
-        const spans = layer.querySelectorAll('span');
-        spans.forEach(span => {
-            const text = span.textContent.toLowerCase();
-            if (text.includes(query)) {
-                span.classList.add('highlight');
+    function handleKeydown(e) {
+        // With several viewers on the page, only the one last used reacts
+        if (activeViewer !== viewer) return;
+        // Escape closes the open panel even from its inputs, before anything else
+        if (e.key === 'Escape' && closeTopPanel()) {
+            e.preventDefault();
+            return;
+        }
+        // Don't handle if typing in an input
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
+        // Keys on a focused button or link operate it rather than turning pages
+        const onControl = e.target.closest && e.target.closest('button, a[href]');
+
+        // While presenting, P and Space pause or resume and any other key pauses
+        if (state.isPresenting && !e.ctrlKey && !e.metaKey) {
+            if (e.key === 'p' || e.key === 'P' || (e.key === ' ' && !onControl)) {
+                togglePresentationPause();
+                e.preventDefault();
+                return;
             }
-        });
-    });
-}
+            if (e.key === 'Escape') {
+                stopPresentation();
+                e.preventDefault();
+                return;
+            }
+            if (!onControl) pausePresentation();
+            restartKioskTimer();
+        }
 
-function goToNextSearchResult() {
-    if (state.searchResults.length === 0) return;
+        switch (e.key) {
+            case 'ArrowLeft':
+                goToLeftPage();
+                e.preventDefault();
+                break;
+            case 'ArrowRight':
+                goToRightPage();
+                e.preventDefault();
+                break;
+            case 'PageUp':
+                goToPrevPage();
+                e.preventDefault();
+                break;
+            case 'PageDown':
+                goToNextPage();
+                e.preventDefault();
+                break;
+            case ' ':
+                // Space scrolls the reading view like any other page of text
+                if (onControl || state.accessibilitySettings.readingView) break;
+                goToNextPage();
+                e.preventDefault();
+                break;
+            case 'Home':
+                goToPage(1);
+                e.preventDefault();
+                break;
+            case 'End':
+                goToPage(state.totalPages);
+                e.preventDefault();
+                break;
+            case 'f':
+            case 'F':
+                if (!e.ctrlKey && !e.metaKey) {
+                    toggleFullscreen();
+                    e.preventDefault();
+                }
+                break;
+            case 'b':
+            case 'B':
+                if (!e.ctrlKey && !e.metaKey) {
+                    toggleBookmark();
+                    e.preventDefault();
+                }
+                break;
+            case ']':
+                goToNextBookmark();
+                e.preventDefault();
+                break;
+            case '[':
+                goToPrevBookmark();
+                e.preventDefault();
+                break;
+            case 't':
+            case 'T':
+                if (!e.ctrlKey && !e.metaKey) {
+                    toggleReadingView();
+                    e.preventDefault();
+                }
+                break;
+            case 'p':
+            case 'P':
+                if (!e.ctrlKey && !e.metaKey) {
+                    startPresentation();
+                    e.preventDefault();
+                }
+                break;
+            case 'Escape':
+                if (state.annotationTool) {
+                    setAnnotationTool(null);
+                    break;
+                }
+                if (state.zoom !== 1 || state.panX !== 0 || state.panY !== 0) {
+                    resetZoom();
+                }
+                break;
+        }
+    }
 
-    state.currentSearchIndex = (state.currentSearchIndex + 1) % state.searchResults.length;
-    goToPage(state.searchResults[state.currentSearchIndex]);
-    updateSearchIndicator();
-    setTimeout(() => highlightSearchMatches(state.currentSearchQuery), 100);
-}
+    // ============================================
+    // Resize Handler
+    // ============================================
 
-function goToPrevSearchResult() {
-    if (state.searchResults.length === 0) return;
+    function handleResize() {
+        // Check if we've crossed the mobile breakpoint
+        const modeChanged = checkMobileMode();
 
-    state.currentSearchIndex = (state.currentSearchIndex - 1 + state.searchResults.length) % state.searchResults.length;
-    goToPage(state.searchResults[state.currentSearchIndex]);
-    updateSearchIndicator();
-    setTimeout(() => highlightSearchMatches(state.currentSearchQuery), 100);
-}
+        if (state.pdfDoc && state.pageFlip) {
+            // If mobile mode changed, reinitialize flipbook
+            if (modeChanged) {
+                rebuildFlipbook();
+                updateCreaseVisibility();
 
-function updateSearchIndicator() {
-    if (state.searchResults.length > 0) {
-        elements.searchResults.textContent = `${state.currentSearchIndex + 1} / ${state.searchResults.length}`;
+                // Switch between the desktop rail and the mobile grid
+                if (state.isThumbnailsOpen) {
+                    toggleThumbnails(true);
+                }
+            } else {
+                // StPageFlip doesn't have updatePageSize - reinitialize for size changes
+                // Only reinitialize if size changed significantly
+                const viewerContainer = ref('viewer-container');
+                const toolbarHeight = getToolbarHeight();
+                const newWidth = (viewerContainer ? viewerContainer.clientWidth : window.innerWidth) - 40;
+                const newHeight = (viewerContainer ? viewerContainer.clientHeight : window.innerHeight) - toolbarHeight - 40;
+
+                // Check if significant size change
+                const aspectRatio = state.basePageWidth / state.basePageHeight;
+                const expectedWidth = state.isDoublePageMode ? newWidth / 2 : newWidth;
+                if (Math.abs(expectedWidth - state.basePageWidth) > 50 || toolbarHeight !== layoutToolbarHeight) {
+                    rebuildFlipbook();
+                }
+            }
+        }
     }
-}
 
-// ============================================
-// View Mode
-// ============================================
+    // ============================================
+    // UI Helpers
+    // ============================================
 
-function toggleViewMode() {
-    // Prevent switching to double-page mode on mobile
-    if (state.isMobile && !state.isDoublePageMode) {
-        showToast('모바일에서는 양면 보기를 지원하지 않습니다');
-        return;
+    function showLoading(text = 'Loading...') {
+        elements.loadingText.textContent = text;
+        elements.loadingOverlay.classList.remove('hidden');
     }
 
-    state.isDoublePageMode = !state.isDoublePageMode;
-
-    // Update icons
-    elements.iconSingle.classList.toggle('hidden', state.isDoublePageMode);
-    elements.iconDouble.classList.toggle('hidden', !state.isDoublePageMode);
+    function hideLoading() {
+        elements.loadingOverlay.classList.add('hidden');
+    }
 
-    // Update flipbook class for styling
-    elements.flipbook.classList.toggle('single-mode', !state.isDoublePageMode);
+    let toastTimeout = null;
+
+    // action: optional { label, onClick } rendered as a button inside the toast
+    function showToast(message, duration = 3000, action = null) {
+        elements.toastMessage.textContent = message;
+        elements.toast.classList.add('show');
+
+        elements.toastAction.classList.toggle('hidden', !action);
+        elements.toastAction.onclick = null;
+        if (action) {
+            elements.toastAction.textContent = action.label;
+            elements.toastAction.onclick = () => {
+                elements.toast.classList.remove('show');
+                action.onClick();
+            };
+        }
 
-    // Reinitialize flipbook
-    if (state.pdfDoc) {
-        state.pageCache.clear();
-        initFlipbook();
+        // A newer toast replaces the previous one's timer
+        clearTimeout(toastTimeout);
+        toastTimeout = setTimeout(() => {
+            elements.toast.classList.remove('show');
+        }, duration);
     }
 
-    updateCreaseVisibility();
-}
-
-function updateCreaseVisibility() {
-    elements.creaseOverlay.classList.toggle('hidden', !state.isDoublePageMode);
-}
+    function openNewPdf() {
+        closeDocument();
+        elements.pdfUpload.value = '';
 
-// Update cover state for hiding empty side placeholders
-function updateCoverState() {
-    const wrapper = document.querySelector('.stf__wrapper');
-    if (!wrapper || !state.pageFlip) return;
+        // Show upload screen
+        elements.viewerContainer.classList.add('hidden');
+        elements.uploadScreen.classList.remove('hidden');
+    }
 
-    const currentIndex = state.pageFlip.getCurrentPageIndex();
+    // Tear down the open document and reset the viewer to a blank state
+    function closeDocument() {
+        loadGeneration++;
+        stopReadAloud();
+        stopPresentation();
+        endAnalyticsSession();
 
-    // Check if we're at the front cover (page 0) or back cover (last page)
-    if (currentIndex === 0) {
-        wrapper.dataset.atCover = 'front';
-    } else if (currentIndex >= state.totalPages - 1) {
-        wrapper.dataset.atCover = 'back';
-    } else {
-        delete wrapper.dataset.atCover;
-    }
-}
+        destroyPageFlip();
 
-// ============================================
-// Zoom
-// ============================================
+        if (state.pdfDoc) {
+            state.pdfDoc.destroy();
+            state.pdfDoc = null;
+        }
 
-function zoomIn() {
-    if (state.zoom < state.maxZoom) {
-        state.zoom = Math.min(state.zoom + 0.25, state.maxZoom);
+        // Reset state
+        state.totalPages = 0;
+        state.pageSizes = [];
+        state.sheets = [];
+        state.sourceUrl = null;
+        state.fingerprint = null;
+        state.pageCache.clear();
+        stopSearchIndexing();
+        state.pageTexts.clear();
+        state.searchIndex.clear();
+        resetSearch();
+        state.currentPage = 1;
+        state.zoom = state.isMobile ? 0.9 : 1;
+        state.panX = 0;
+        state.panY = 0;
+        state.outline = [];
+        state.annotations = [];
+        state.bookmarks = [];
         updateTransform();
-        triggerHighResRender();
+
+        // Reset UI
+        elements.flipbook.innerHTML = '';
+        toggleAnnotationMode(false);
+        elements.contentsList.innerHTML = '';
+        toggleContentsPanel(false);
+        toggleBookmarksPanel(false);
+        updateBookmarkButton();
+        toggleThumbnails(false);
+        resetThumbnails();
+        elements.searchInput.value = '';
+        elements.pageInput.value = 1;
+        elements.totalPages.textContent = 0;
     }
-}
 
-function zoomOut() {
-    if (state.zoom > state.minZoom) {
-        state.zoom = Math.max(state.zoom - 0.25, state.minZoom);
-        updateTransform();
-        triggerHighResRender();
+    function isAtLastPage() {
+        return Math.max(state.currentPage, ...getVisiblePages()) >= state.totalPages;
     }
-}
 
-function resetZoom() {
-    state.zoom = 1;
-    state.panX = 0;
-    state.panY = 0;
-    state.panY = 0;
-    updateTransform();
-    // No need to high-res render on reset (zoom 1), but good practice to clear if needed
-}
+    function updateFlipGuides() {
+        const rightGuide = root.querySelector('.flip-guide-right');
+        const rightTopGuide = root.querySelector('.flip-guide-right-top');
+        // Hide guides if the last page is showing
+        const isLastPage = isAtLastPage();
 
-// ============================================
-// Fullscreen
-// ============================================
+        if (rightGuide) {
+            rightGuide.classList.toggle('hidden', isLastPage);
+        }
 
-function toggleFullscreen() {
-    if (!document.fullscreenElement) {
-        document.documentElement.requestFullscreen().catch(err => {
-            console.error('Error entering fullscreen:', err);
-            showToast('전체 화면을 사용할 수 없습니다');
-        });
-    } else {
-        document.exitFullscreen();
+        if (rightTopGuide) {
+            rightTopGuide.classList.toggle('hidden', isLastPage);
+        }
     }
-}
-
-function handleFullscreenChange() {
-    state.isFullscreen = !!document.fullscreenElement;
 
-    // Update button icon (could toggle between expand/compress icons)
-    if (state.isFullscreen) {
-        showToast('ESC를 눌러 전체 화면 종료');
-    }
+    // ============================================
+    // Utility Functions
+    // ============================================
 
-    // Resize flipbook
-    setTimeout(() => handleResize(), 100);
-}
+    function setupMobileControls() {
+        const prevBtn = ref('mob-prev');
+        const nextBtn = ref('mob-next');
+        const panToggleBtn = ref('mob-pan-toggle');
+        const iconPanOff = ref('icon-pan-off');
+        const iconPanOn = ref('icon-pan-on');
+        const magazineContainer = ref('magazine-container');
 
-// ============================================
-// Share
-// ============================================
+        state.isMobilePanMode = false;
 
-function shareLink() {
-    const url = window.location.href;
+        if (prevBtn) {
+            prevBtn.addEventListener('click', () => {
+                goToLeftPage();
+            });
+        }
 
-    if (navigator.clipboard) {
-        navigator.clipboard.writeText(url).then(() => {
-            showToast('링크가 복사되었습니다!');
-        }).catch(() => {
-            fallbackCopyToClipboard(url);
-        });
-    } else {
-        fallbackCopyToClipboard(url);
-    }
-}
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => {
+                goToRightPage();
+            });
+        }
 
-function fallbackCopyToClipboard(text) {
-    const textarea = document.createElement('textarea');
-    textarea.value = text;
-    textarea.style.position = 'fixed';
-    textarea.style.opacity = '0';
-    document.body.appendChild(textarea);
-    textarea.select();
+        const bookmarksBtn = ref('mob-bookmarks');
+        if (bookmarksBtn) {
+            bookmarksBtn.addEventListener('click', () => toggleBookmarksPanel());
+        }
 
-    try {
-        document.execCommand('copy');
-        showToast('Link copied to clipboard!');
-    } catch (err) {
-        showToast('Failed to copy link');
-    }
+        if (panToggleBtn) {
+            panToggleBtn.addEventListener('click', () => {
+                state.isMobilePanMode = !state.isMobilePanMode;
 
-    document.body.removeChild(textarea);
-}
+                // UI Update
+                if (state.isMobilePanMode) {
+                    iconPanOff.classList.add('hidden');
+                    iconPanOn.classList.remove('hidden');
+                    panToggleBtn.classList.add('bg-white/10');
+                } else {
+                    iconPanOff.classList.remove('hidden');
+                    iconPanOn.classList.add('hidden');
+                    panToggleBtn.classList.remove('bg-white/10');
+                }
+            });
+        }
 
-// ============================================
-// Keyboard Navigation
-// ============================================
+        // Helper functions for pinch calculation
+        const getDistance = (touch1, touch2) => {
+            const dx = touch1.clientX - touch2.clientX;
+            const dy = touch1.clientY - touch2.clientY;
+            return Math.sqrt(dx * dx + dy * dy);
+        };
 
-function handleKeydown(e) {
-    // Don't handle if typing in an input
-    if (e.target.tagName === 'INPUT') return;
+        const getCenter = (touch1, touch2) => {
+            return {
+                x: (touch1.clientX + touch2.clientX) / 2,
+                y: (touch1.clientY + touch2.clientY) / 2
+            };
+        };
 
-    switch (e.key) {
-        case 'ArrowLeft':
-            goToPrevPage();
-            e.preventDefault();
-            break;
-        case 'ArrowRight':
-        case ' ':
-            goToNextPage();
-            e.preventDefault();
-            break;
-        case 'Home':
-            goToPage(1);
-            e.preventDefault();
-            break;
-        case 'End':
-            goToPage(state.totalPages);
-            e.preventDefault();
-            break;
-        case 'f':
-        case 'F':
-            if (!e.ctrlKey && !e.metaKey) {
-                toggleFullscreen();
-                e.preventDefault();
+        let initialPinchDistance = 0;
+        let initialPinchZoom = 1;
+        let initialPinchCenter = { x: 0, y: 0 };
+        let initialPanState = { x: 0, y: 0 };
+        let runs2FingerLogic = false;
+
+        // Single Finger Pan Logic
+        let lastTouchX = 0;
+        let lastTouchY = 0;
+
+        const handleTouchStart = (e) => {
+            // 2-Finger Pinch/Pan (Capture phase to block StPageFlip)
+            if (e.touches.length === 2) {
+                e.stopPropagation(); // Block StPageFlip
+                runs2FingerLogic = true;
+
+                initialPinchDistance = getDistance(e.touches[0], e.touches[1]);
+                initialPinchZoom = state.zoom;
+                initialPinchCenter = getCenter(e.touches[0], e.touches[1]);
+                initialPanState = { x: state.panX, y: state.panY };
+                return;
             }
-            break;
-        case 'Escape':
-            if (state.zoom !== 1 || state.panX !== 0 || state.panY !== 0) {
-                resetZoom();
+
+            // 1-Finger Pan (if Pan Mode active)
+            if (state.isMobilePanMode && e.touches.length === 1) {
+                e.stopPropagation(); // Stop flip engine
+                lastTouchX = e.touches[0].clientX;
+                lastTouchY = e.touches[0].clientY;
             }
-            break;
-    }
-}
+        };
 
-// ============================================
-// Resize Handler
-// ============================================
+        const handleTouchMove = (e) => {
+            // 2-Finger Pinch/Pan
+            if (e.touches.length === 2) {
+                e.preventDefault(); // Prevent browser behavior
+                e.stopPropagation(); // Block StPageFlip
+                runs2FingerLogic = true;
+
+                // Pinch Zoom
+                const distance = getDistance(e.touches[0], e.touches[1]);
+                if (initialPinchDistance > 0) {
+                    const scale = distance / initialPinchDistance;
+                    state.zoom = Math.min(Math.max(initialPinchZoom * scale, state.minZoom), state.maxZoom);
+                }
 
-function handleResize() {
-    // Check if we've crossed the mobile breakpoint
-    const modeChanged = checkMobileMode();
+                // Two-Finger Pan
+                const currentCenter = getCenter(e.touches[0], e.touches[1]);
+                const deltaX = currentCenter.x - initialPinchCenter.x;
+                const deltaY = currentCenter.y - initialPinchCenter.y;
 
-    if (state.pdfDoc && state.pageFlip) {
-        // If mobile mode changed, reinitialize flipbook
-        if (modeChanged) {
-            state.pageCache.clear();
-            initFlipbook();
-            updateCreaseVisibility();
-        } else {
-            // StPageFlip doesn't have updatePageSize - reinitialize for size changes
-            // Only reinitialize if size changed significantly
-            const viewerContainer = document.getElementById('viewer-container');
-            const toolbarHeight = 72;
-            const newWidth = (viewerContainer ? viewerContainer.clientWidth : window.innerWidth) - 40;
-            const newHeight = (viewerContainer ? viewerContainer.clientHeight : window.innerHeight) - toolbarHeight - 40;
+                state.panX = initialPanState.x + deltaX;
+                state.panY = initialPanState.y + deltaY;
 
-            // Check if significant size change
-            const aspectRatio = state.basePageWidth / state.basePageHeight;
-            const expectedWidth = state.isDoublePageMode ? newWidth / 2 : newWidth;
-            if (Math.abs(expectedWidth - state.basePageWidth) > 50) {
-                initFlipbook();
+                updateTransform();
+                return;
             }
-        }
-    }
-}
-
-// ============================================
-// UI Helpers
-// ============================================
-
-function showLoading(text = 'Loading...') {
-    elements.loadingText.textContent = text;
-    elements.loadingOverlay.classList.remove('hidden');
-}
 
-function hideLoading() {
-    elements.loadingOverlay.classList.add('hidden');
-}
+            // 1-Finger Pan
+            if (state.isMobilePanMode && e.touches.length === 1) {
+                e.preventDefault();
+                e.stopPropagation(); // Stop flip engine
 
-function showToast(message, duration = 3000) {
-    elements.toastMessage.textContent = message;
-    elements.toast.classList.add('show');
+                const deltaX = e.touches[0].clientX - lastTouchX;
+                const deltaY = e.touches[0].clientY - lastTouchY;
 
-    setTimeout(() => {
-        elements.toast.classList.remove('show');
-    }, duration);
-}
+                state.panX += deltaX;
+                state.panY += deltaY;
+                updateTransform();
 
-function openNewPdf() {
-    // Reset state
-    state.pdfDoc = null;
-    state.pageCache.clear();
-    state.pageTexts.clear();
-    state.searchResults = [];
-    state.currentSearchIndex = -1;
-    state.currentPage = 1;
-    state.zoom = 1;
-
-    if (state.pageFlip) {
-        state.pageFlip.destroy();
-        state.pageFlip = null;
-    }
+                lastTouchX = e.touches[0].clientX;
+                lastTouchY = e.touches[0].clientY;
+            }
+        };
 
-    // Reset UI
-    elements.flipbook.innerHTML = '';
-    elements.searchInput.value = '';
-    elements.searchResults.textContent = '';
-    elements.pageInput.value = 1;
-    elements.pdfUpload.value = '';
+        const handleTouchEnd = (e) => {
+            // If we were running 2-finger logic, we must block this end event
+            if (runs2FingerLogic) {
+                e.stopPropagation();
 
-    // Show upload screen
-    elements.viewerContainer.classList.add('hidden');
-    elements.uploadScreen.classList.remove('hidden');
-}
+                // If all fingers are gone, we can reset the flag
+                if (e.touches.length === 0) {
+                    runs2FingerLogic = false;
 
-// ============================================
-// Utility Functions
-// ============================================
+                    // Trigger high-res re-render after pinch ends
+                    if (state.zoom > 1) {
+                        triggerHighResRender();
+                    }
+                }
+                return;
+            }
 
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
+            if (state.isMobilePanMode) {
+                e.stopPropagation();
+            }
         };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
-}
-
-function updateFlipGuides() {
-    const rightGuide = document.querySelector('.flip-guide-right');
-    const rightTopGuide = document.querySelector('.flip-guide-right-top');
-    const currentPage = state.currentPage; // 1-based index
-
-    // Hide guides if on the last page
-    const isLastPage = (currentPage >= state.totalPages);
-
-    if (rightGuide) {
-        rightGuide.classList.toggle('hidden', isLastPage);
-    }
 
-    if (rightTopGuide) {
-        rightTopGuide.classList.toggle('hidden', isLastPage);
+        // Use Capture phase to intercept events BEFORE StPageFlip gets them
+        magazineContainer.addEventListener('touchstart', handleTouchStart, { passive: false, capture: true });
+        magazineContainer.addEventListener('touchmove', handleTouchMove, { passive: false, capture: true });
+        magazineContainer.addEventListener('touchend', handleTouchEnd, { passive: false, capture: true });
+        magazineContainer.addEventListener('touchcancel', handleTouchEnd, { passive: false, capture: true });
     }
-}
 
-// ============================================
-// Utility Functions
-// ============================================
+    // ============================================
+    // Embedding API (instance methods + postMessage)
+    // ============================================
 
-function setupMobileControls() {
-    const prevBtn = document.getElementById('mob-prev');
-    const nextBtn = document.getElementById('mob-next');
-    const panToggleBtn = document.getElementById('mob-pan-toggle');
-    const iconPanOff = document.getElementById('icon-pan-off');
-    const iconPanOn = document.getElementById('icon-pan-on');
-    const magazineContainer = document.getElementById('magazine-container');
+    // Subscribers per event: 'pagechange' | 'loaded' | 'error'
+    const viewerEventListeners = {
+        pagechange: new Set(),
+        loaded: new Set(),
+        error: new Set(),
+    };
 
-    state.isMobilePanMode = false;
+    // Origin of the page embedding us, once known (from the referrer or its first message)
+    let embedHostOrigin = null;
 
-    if (prevBtn) {
-        prevBtn.addEventListener('click', () => {
-            if (state.pageFlip) state.pageFlip.flipPrev();
-        });
+    function getViewerState() {
+        return {
+            page: state.currentPage,
+            totalPages: state.totalPages,
+            zoom: state.zoom,
+            viewMode: state.isDoublePageMode ? 'double' : 'single',
+            direction: state.isRtl ? 'rtl' : 'ltr',
+            pagination: { ...state.pagination },
+            source: state.sourceUrl,
+            fingerprint: state.fingerprint,
+        };
     }
 
-    if (nextBtn) {
-        nextBtn.addEventListener('click', () => {
-            if (state.pageFlip) state.pageFlip.flipNext();
+    function emitViewerEvent(type, data) {
+        viewerEventListeners[type].forEach(listener => {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`YaleBook ${type} listener failed:`, error);
+            }
         });
+
+        if (embedHostOrigin) {
+            window.parent.postMessage({ source: 'yalebook', event: type, data }, embedHostOrigin);
+        }
     }
 
-    if (panToggleBtn) {
-        panToggleBtn.addEventListener('click', () => {
-            state.isMobilePanMode = !state.isMobilePanMode;
+    // Resolves with the viewer state once the document is shown, rejects on a load error
+    function openDocument(source, { allowAnyUrl = true } = {}) {
+        return new Promise((resolve, reject) => {
+            const isUrl = typeof source === 'string';
+            if (isUrl && !allowAnyUrl && !isAllowedPdfUrl(source)) {
+                reject(new Error('PDF origin not allowed'));
+                return;
+            }
+            if (!isUrl && !(source instanceof Blob) && !(source instanceof ArrayBuffer) && !ArrayBuffer.isView(source)) {
+                reject(new Error('open() expects a URL, File/Blob or ArrayBuffer'));
+                return;
+            }
 
-            // UI Update
-            if (state.isMobilePanMode) {
-                iconPanOff.classList.add('hidden');
-                iconPanOn.classList.remove('hidden');
-                panToggleBtn.classList.add('bg-white/10');
+            const onLoaded = (data) => { cleanup(); resolve(data); };
+            const onError = (data) => { cleanup(); reject(new Error(data.message)); };
+            const cleanup = () => {
+                viewerEventListeners.loaded.delete(onLoaded);
+                viewerEventListeners.error.delete(onError);
+            };
+            viewerEventListeners.loaded.add(onLoaded);
+            viewerEventListeners.error.add(onError);
+
+            closeDocument();
+            if (isUrl) {
+                loadPdfFromUrl(source);
             } else {
-                iconPanOff.classList.remove('hidden');
-                iconPanOn.classList.add('hidden');
-                panToggleBtn.classList.remove('bg-white/10');
+                loadPdf(source instanceof Blob ? source : new Blob([source], { type: 'application/pdf' }));
             }
         });
     }
 
-    // Helper functions for pinch calculation
-    const getDistance = (touch1, touch2) => {
-        const dx = touch1.clientX - touch2.clientX;
-        const dy = touch1.clientY - touch2.clientY;
-        return Math.sqrt(dx * dx + dy * dy);
+    /**
+     * This viewer's public API - returned by YaleBook.create(), and behind the
+     * YaleBook.* shortcuts (and the postMessage bridge) for the main viewer.
+     *
+     *   viewer.open('issues/2025-spring.pdf').then(({ totalPages }) => ...);
+     *   viewer.on('pagechange', ({ page }) => ...);
+     */
+    const viewer = {
+        /** The container element this viewer is mounted on. */
+        root,
+
+        /** Opens a PDF from a URL, File/Blob or ArrayBuffer. Resolves with getState(). */
+        open: (source) => openDocument(source),
+
+        /** Flips to a 1-based page number. */
+        goToPage: (pageNum) => goToPage(Number(pageNum)),
+
+        next: () => goToNextPage(),
+        prev: () => goToPrevPage(),
+
+        /** Sets the zoom factor (1 = fit), clamped to the supported range. */
+        setZoom: (zoom) => {
+            state.zoom = Math.min(Math.max(Number(zoom) || 1, state.minZoom), state.maxZoom);
+            if (state.zoom === 1) {
+                state.panX = 0;
+                state.panY = 0;
+            }
+            updateTransform();
+            triggerHighResRender();
+            return state.zoom;
+        },
+
+        /** 'single' or 'double' (double-page spreads are not available on mobile). */
+        setViewMode: (mode) => {
+            if (mode !== 'single' && mode !== 'double') throw new Error(`Unknown view mode: ${mode}`);
+            if ((mode === 'double') !== state.isDoublePageMode) toggleViewMode();
+            return state.isDoublePageMode ? 'double' : 'single';
+        },
+
+        /** 'ltr' or 'rtl' (right-bound book); remembered for the open document. */
+        setDirection: (dir) => {
+            if (dir !== 'ltr' && dir !== 'rtl') throw new Error(`Unknown direction: ${dir}`);
+            if ((dir === 'rtl') !== state.isRtl) toggleReadingDirection();
+            return state.isRtl ? 'rtl' : 'ltr';
+        },
+
+        /** Runs a search and returns { query, total, indexing } - total counts the pages indexed so far. */
+        search: (query) => {
+            elements.searchInput.value = String(query || '');
+            handleSearch();
+            return { query: state.currentSearchQuery, total: state.searchResults.length, indexing: state.isIndexing };
+        },
+
+        getState: () => getViewerState(),
+
+        /** Subscribes to 'pagechange', 'loaded' or 'error'; returns an unsubscribe function. */
+        on: (type, listener) => {
+            if (!viewerEventListeners[type]) throw new Error(`Unknown event: ${type}`);
+            viewerEventListeners[type].add(listener);
+            return () => viewerEventListeners[type].delete(listener);
+        },
+
+        off: (type, listener) => {
+            if (viewerEventListeners[type]) viewerEventListeners[type].delete(listener);
+        },
+
+        /** Closes the document, removes every listener and empties the container. */
+        destroy: () => destroy(),
     };
 
-    const getCenter = (touch1, touch2) => {
-        return {
-            x: (touch1.clientX + touch2.clientX) / 2,
-            y: (touch1.clientY + touch2.clientY) / 2
-        };
-    };
+    function destroy() {
+        if (!viewers.has(viewer)) return;
 
-    let initialPinchDistance = 0;
-    let initialPinchZoom = 1;
-    let initialPinchCenter = { x: 0, y: 0 };
-    let initialPanState = { x: 0, y: 0 };
-    let runs2FingerLogic = false;
-
-    // Single Finger Pan Logic
-    let lastTouchX = 0;
-    let lastTouchY = 0;
-
-    const handleTouchStart = (e) => {
-        // 2-Finger Pinch/Pan (Capture phase to block StPageFlip)
-        if (e.touches.length === 2) {
-            e.stopPropagation(); // Block StPageFlip
-            runs2FingerLogic = true;
-
-            initialPinchDistance = getDistance(e.touches[0], e.touches[1]);
-            initialPinchZoom = state.zoom;
-            initialPinchCenter = getCenter(e.touches[0], e.touches[1]);
-            initialPanState = { x: state.panX, y: state.panY };
-            return;
+        if (document.fullscreenElement === root) {
+            document.exitFullscreen();
         }
+        closeDocument();
+        lifetime.abort();
+        if (containerObserver) containerObserver.disconnect();
+        if (thumbnailObserver) thumbnailObserver.disconnect();
+        clearTimeout(highResRenderTimeout);
+        clearTimeout(toastTimeout);
+        clearTimeout(kioskTimeout);
+        clearTimeout(analyticsFlushTimeout);
+        Object.values(viewerEventListeners).forEach(listeners => listeners.clear());
+
+        viewers.delete(viewer);
+        if (mainViewer === viewer) mainViewer = null;
+        if (activeViewer === viewer) activeViewer = mainViewer;
+
+        root.replaceChildren();
+        root.classList.remove('yalebook-viewer', 'yalebook-embedded', 'yalebook-compact', 'reduced-motion', 'reading-rtl');
+    }
 
-        // 1-Finger Pan (if Pan Mode active)
-        if (state.isMobilePanMode && e.touches.length === 1) {
-            e.stopPropagation(); // Stop flip engine
-            lastTouchX = e.touches[0].clientX;
-            lastTouchY = e.touches[0].clientY;
-        }
-    };
+    // Methods a host frame may call: { source: 'yalebook', id, method, args }
+    // Replies go back as { source: 'yalebook', id, result } or { source: 'yalebook', id, error }
+    const EMBED_METHODS = ['open', 'goToPage', 'next', 'prev', 'setZoom', 'setViewMode', 'setDirection', 'search', 'getState'];
 
-    const handleTouchMove = (e) => {
-        // 2-Finger Pinch/Pan
-        if (e.touches.length === 2) {
-            e.preventDefault(); // Prevent browser behavior
-            e.stopPropagation(); // Block StPageFlip
-            runs2FingerLogic = true;
+    function setupEmbedBridge() {
+        if (window.parent === window) return;
 
-            // Pinch Zoom
-            const distance = getDistance(e.touches[0], e.touches[1]);
-            if (initialPinchDistance > 0) {
-                const scale = distance / initialPinchDistance;
-                state.zoom = Math.min(Math.max(initialPinchZoom * scale, state.minZoom), state.maxZoom);
-            }
+        // Announce events to the embedding page right away when it is a known host
+        try {
+            const referrerOrigin = document.referrer ? new URL(document.referrer).origin : null;
+            if (EMBED_HOST_ORIGINS.includes(referrerOrigin)) embedHostOrigin = referrerOrigin;
+        } catch (error) {
+            // No usable referrer - wait for the host's first message
+        }
+
+        window.addEventListener('message', handleEmbedMessage, { signal });
+    }
 
-            // Two-Finger Pan
-            const currentCenter = getCenter(e.touches[0], e.touches[1]);
-            const deltaX = currentCenter.x - initialPinchCenter.x;
-            const deltaY = currentCenter.y - initialPinchCenter.y;
+    async function handleEmbedMessage(e) {
+        const message = e.data;
+        if (!message || message.source !== 'yalebook' || !message.method) return;
+        if (!EMBED_HOST_ORIGINS.includes(e.origin) || e.source !== window.parent) return;
 
-            state.panX = initialPanState.x + deltaX;
-            state.panY = initialPanState.y + deltaY;
+        embedHostOrigin = e.origin;
+        const reply = (payload) => e.source.postMessage({ source: 'yalebook', id: message.id, ...payload }, e.origin);
 
-            updateTransform();
+        if (!EMBED_METHODS.includes(message.method)) {
+            reply({ error: `Unknown method: ${message.method}` });
             return;
         }
 
-        // 1-Finger Pan
-        if (state.isMobilePanMode && e.touches.length === 1) {
-            e.preventDefault();
-            e.stopPropagation(); // Stop flip engine
+        try {
+            const args = Array.isArray(message.args) ? message.args : [];
+            const result = message.method === 'open'
+                // URLs from another window must pass the same allowlist as ?file= links
+                ? await openDocument(args[0], { allowAnyUrl: false })
+                : await viewer[message.method](...args);
+            reply({ result: result === undefined ? null : result });
+        } catch (error) {
+            reply({ error: error.message });
+        }
+    }
 
-            const deltaX = e.touches[0].clientX - lastTouchX;
-            const deltaY = e.touches[0].clientY - lastTouchY;
+    viewers.add(viewer);
+    if (options.main) mainViewer = viewer;
+    if (!activeViewer) activeViewer = viewer;
 
-            state.panX += deltaX;
-            state.panY += deltaY;
-            updateTransform();
+    init();
+    return viewer;
+}
 
-            lastTouchX = e.touches[0].clientX;
-            lastTouchY = e.touches[0].clientY;
-        }
-    };
+// ============================================
+// Embedding API (window.YaleBook)
+// ============================================
 
-    const handleTouchEnd = (e) => {
-        // If we were running 2-finger logic, we must block this end event
-        if (runs2FingerLogic) {
-            e.stopPropagation();
+// YaleBook.* shortcuts that act on the main viewer
+const MAIN_VIEWER_METHODS = ['open', 'goToPage', 'next', 'prev', 'setZoom', 'setViewMode', 'setDirection', 'search', 'getState', 'on', 'off'];
 
-            // If all fingers are gone, we can reset the flag
-            if (e.touches.length === 0) {
-                runs2FingerLogic = false;
+/**
+ * Public API for pages that host viewers.
+ *
+ *   // Independent previews side by side, each in its own container
+ *   const viewer = await YaleBook.create('#preview-spring', { src: 'issues/2025-spring.pdf', page: 3 });
+ *   viewer.on('pagechange', ({ page }) => ...);
+ *   viewer.destroy();
+ *
+ *   // The full-page viewer of index.html
+ *   YaleBook.open('issues/2025-spring.pdf').then(({ totalPages }) => ...);
+ */
+window.YaleBook = {
+    /** Mounts a new viewer in a container (element or selector). Resolves with its API. */
+    create: (container, options = {}) => mountViewer(container, { ...options, main: false }),
 
-                // Trigger high-res re-render after pinch ends
-                if (state.zoom > 1) {
-                    triggerHighResRender();
-                }
-            }
-            return;
-        }
+    /** Every viewer mounted on the page. */
+    getViewers: () => [...viewers],
+};
 
-        if (state.isMobilePanMode) {
-            e.stopPropagation();
-        }
+MAIN_VIEWER_METHODS.forEach(method => {
+    window.YaleBook[method] = (...args) => {
+        if (!mainViewer) throw new Error('No main viewer on this page - use YaleBook.create()');
+        return mainViewer[method](...args);
     };
-
-    // Use Capture phase to intercept events BEFORE StPageFlip gets them
-    magazineContainer.addEventListener('touchstart', handleTouchStart, { passive: false, capture: true });
-    magazineContainer.addEventListener('touchmove', handleTouchMove, { passive: false, capture: true });
-    magazineContainer.addEventListener('touchend', handleTouchEnd, { passive: false, capture: true });
-    magazineContainer.addEventListener('touchcancel', handleTouchEnd, { passive: false, capture: true });
-}
+});
 
 // ============================================
 // Initialize App
 // ============================================
 
-document.addEventListener('DOMContentLoaded', init);
+function initApp() {
+    registerServiceWorker();
+
+    // index.html's full-page viewer; other pages mount theirs with YaleBook.create()
+    const appRoot = document.getElementById('yalebook-app');
+    if (appRoot) {
+        mountViewer(appRoot, { main: true }).catch(error => {
+            console.error('Error starting viewer:', error);
+        });
+    }
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register(new URL('sw.js', APP_BASE_URL)).catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initApp);
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * PDF Magazine Viewer - Search Index Worker
+ * Extracts page text off the main thread and builds an inverted index of
+ * character bigrams, posting pages back in batches as they are indexed.
+ * Finished indexes are cached in IndexedDB by document fingerprint.
+ */
+
+importScripts('vendor/pdfjs/pdf.min.js');
+pdfjsLib.GlobalWorkerOptions.workerSrc = 'vendor/pdfjs/pdf.worker.min.js';
+
+// Bump when the stored format changes so old entries are re-indexed
+const INDEX_VERSION = 1;
+
+const DB_NAME = 'yalebook-search';
+const DB_STORE = 'indexes';
+// Documents kept in the cache; the least recently used are dropped first
+const DB_LIMIT = 20;
+
+// Pages are posted at least this often while indexing
+const BATCH_INTERVAL = 250;
+
+// ============================================
+// Messages
+// ============================================
+
+// { type: 'index', fingerprint, data? }, then { type: 'data', data } if asked for with 'data-needed'
+let resolveData = null;
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    if (message.type === 'index') {
+        indexDocument(message).catch(error => {
+            self.postMessage({ type: 'error', message: String(error && error.message || error) });
+        });
+    } else if (message.type === 'data' && resolveData) {
+        resolveData(message.data);
+        resolveData = null;
+    }
+});
+
+async function indexDocument({ fingerprint, data }) {
+    const cached = await readCachedIndex(fingerprint);
+    if (cached) {
+        self.postMessage({ type: 'pages', pages: cached.pages });
+        self.postMessage({ type: 'done', cached: true });
+        return;
+    }
+
+    // The page already has the file - ask for its bytes instead of downloading it again
+    if (!data) {
+        data = await new Promise(resolve => {
+            resolveData = resolve;
+            self.postMessage({ type: 'data-needed' });
+        });
+    }
+
+    const pdfDoc = await pdfjsLib.getDocument({ data }).promise;
+    const pages = [];
+    let batch = [];
+    let lastPost = Date.now();
+
+    for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+        let items = [];
+        try {
+            const page = await pdfDoc.getPage(pageNum);
+            items = (await page.getTextContent()).items;
+            page.cleanup();
+        } catch (error) {
+            console.error(`Error extracting text from page ${pageNum}:`, error);
+        }
+
+        const pageText = { pageNum, ...buildPageText(items) };
+        pageText.grams = getBigrams(foldText(pageText.text));
+        pages.push(pageText);
+        batch.push(pageText);
+
+        if (Date.now() - lastPost >= BATCH_INTERVAL || pageNum === pdfDoc.numPages) {
+            self.postMessage({ type: 'pages', pages: batch });
+            batch = [];
+            lastPost = Date.now();
+        }
+    }
+
+    pdfDoc.destroy();
+
+    // Cache before reporting done - the page terminates the worker after that
+    await writeCachedIndex({ fingerprint, version: INDEX_VERSION, pages, updatedAt: Date.now() });
+    self.postMessage({ type: 'done', cached: false });
+}
+
+// ============================================
+// Text & Index
+// ============================================
+
+// Joins a page's text items in text-layer order, remembering where each item
+// starts so a match can be mapped back onto the spans that display it.
+function buildPageText(items) {
+    let text = '';
+    const offsets = [];
+
+    items.forEach(item => {
+        if (item.str === undefined) return; // marked content, no span in the text layer
+        offsets.push(text.length);
+        text += item.str;
+        if (item.hasEOL) text += ' ';
+    });
+
+    return { text, offsets };
+}
+
+// The most forgiving search normalization - keep in sync with
+// normalizeSearchText(text, { normalize: true, ignoreSpaces: true }) in app.js
+function foldText(text) {
+    let folded = '';
+    for (const [cluster] of text.matchAll(/.[\p{M}\u1160-\u11FF\uD7B0-\uD7FF]*/gsu)) {
+        folded += cluster.normalize('NFKD').replace(/\p{M}/gu, '').normalize('NFKC')
+            .toLowerCase()
+            .replace(/\s+/g, '');
+    }
+    return folded;
+}
+
+// Distinct character pairs - the page's postings in the inverted index
+function getBigrams(text) {
+    const grams = new Set();
+    for (let i = 0; i < text.length - 1; i++) {
+        grams.add(text.slice(i, i + 2));
+    }
+    return [...grams];
+}
+
+// ============================================
+// IndexedDB Cache
+// ============================================
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DB_STORE, { keyPath: 'fingerprint' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function readCachedIndex(fingerprint) {
+    if (!fingerprint) return null;
+
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(DB_STORE, 'readwrite').objectStore(DB_STORE);
+        const entry = await requestToPromise(store.get(fingerprint));
+        if (!entry || entry.version !== INDEX_VERSION) return null;
+
+        // Mark as recently used
+        entry.updatedAt = Date.now();
+        store.put(entry);
+        return entry;
+    } catch (error) {
+        console.error('Error reading search index cache:', error);
+        return null;
+    }
+}
+
+async function writeCachedIndex(entry) {
+    if (!entry.fingerprint) return;
+
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(DB_STORE, 'readwrite').objectStore(DB_STORE);
+        store.put(entry);
+
+        // Drop the least recently used documents over the limit
+        const entries = await requestToPromise(store.getAll());
+        entries
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .slice(DB_LIMIT)
+            .forEach(old => store.delete(old.fingerprint));
+    } catch (error) {
+        console.error('Error writing search index cache:', error);
+    }
+}
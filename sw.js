@@ -0,0 +1,275 @@
+/**
+ * PDF Magazine Viewer - Service Worker
+ * Precaches the app shell and vendored libraries, caches CDN assets at runtime,
+ * and serves previously opened PDFs (including byte ranges) for offline reading
+ */
+
+// Bump when the vendored libraries change (the app's own files are revalidated on every load)
+const SHELL_CACHE = 'yalebook-shell-v6';
+const RUNTIME_CACHE = 'yalebook-runtime-v1';
+
+// Opened PDFs are written here by app.js (keep the name in sync with PDF_CACHE_NAME)
+const PDF_CACHE = 'yalebook-pdfs';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'app.js',
+    'search-worker.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js',
+    'vendor/page-flip/page-flip.browser.js',
+    'vendor/pdf-lib/pdf-lib.min.js',
+];
+
+// Loaded by index.html from CDNs. Cached at install as well, so a first visit that goes
+// offline before they have been requested again still has its styles
+const CDN_ASSETS = [
+    'https://cdn.tailwindcss.com',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
+];
+
+// Files that change without a deploy - always try the network first
+const NETWORK_FIRST_PATHS = [
+    'library/manifest.json',
+];
+
+// Versioned with the cache name; everything else of our own changes with each deploy
+const CACHE_FIRST_PREFIXES = [
+    'vendor/',
+    'icons/',
+];
+
+// PDFs already checked against the network by this worker (url -> Promise<boolean> still current)
+const revalidatedPdfs = new Map();
+
+// ============================================
+// Lifecycle
+// ============================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+            precacheCdnAssets(),
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE, PDF_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Best effort - whatever fails here is cached at runtime on a later visit
+async function precacheCdnAssets() {
+    const cache = await caches.open(RUNTIME_CACHE);
+
+    await Promise.all(CDN_ASSETS.map(async (url) => {
+        try {
+            // The font stylesheet is read for its font files, so it needs CORS; the script can be opaque
+            const isFontStylesheet = url.startsWith('https://fonts.googleapis.com/');
+            const response = await fetch(url, { mode: isFontStylesheet ? 'cors' : 'no-cors' });
+            if (!response.ok && response.type !== 'opaque') return;
+            await cache.put(url, response.clone());
+
+            if (isFontStylesheet) {
+                const fontUrls = (await response.text()).match(/https:\/\/fonts\.gstatic\.com\/[^)'"\s]+/g) || [];
+                await Promise.all(fontUrls.map(async (fontUrl) => {
+                    const font = await fetch(fontUrl, { mode: 'cors' });
+                    if (font.ok) await cache.put(fontUrl, font);
+                }));
+            }
+        } catch (error) {
+            console.warn('Could not precache', url, error);
+        }
+    }));
+}
+
+// ============================================
+// Fetch Routing
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Page loads (including ?file= deep links) are all the same shell - one cache entry for every query
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.toLowerCase().endsWith('.pdf')) {
+            event.respondWith(handlePdfRequest(request));
+        } else if (NETWORK_FIRST_PATHS.some(path => url.pathname.endsWith(path))) {
+            event.respondWith(networkFirst(request, RUNTIME_CACHE, url.origin + url.pathname));
+        } else if (isCacheFirstPath(url.pathname)) {
+            event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+        } else {
+            // app.js, styles.css, search-worker.js... - a deploy must reach installed apps
+            // without anyone remembering to bump SHELL_CACHE
+            event.respondWith(networkFirst(request, SHELL_CACHE, url.origin + url.pathname));
+        }
+        return;
+    }
+
+    // Cross-origin PDFs (allow-listed ?file= origins)
+    if (url.pathname.toLowerCase().endsWith('.pdf')) {
+        event.respondWith(handlePdfRequest(request));
+        return;
+    }
+
+    // CDN assets (Tailwind, Google Fonts)
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+});
+
+function isCacheFirstPath(pathname) {
+    const scope = new URL(self.registration.scope).pathname;
+    const path = pathname.startsWith(scope) ? pathname.slice(scope.length) : pathname;
+    return CACHE_FIRST_PREFIXES.some(prefix => path.startsWith(prefix));
+}
+
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// cacheKey stores responses under one entry whatever the query string
+async function networkFirst(request, cacheName, cacheKey = request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            cache.put(cacheKey, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(cacheKey, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            // Opaque responses (no-cors CDN scripts) report status 0 but are still usable
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+// ============================================
+// PDF Requests
+// ============================================
+
+// Serve PDFs from the cache when available, slicing byte ranges for PDF.js
+async function handlePdfRequest(request) {
+    const cache = await caches.open(PDF_CACHE);
+    const cached = await cache.match(request.url);
+    if (!cached || !(await isCachedPdfCurrent(cache, request.url, cached))) {
+        return fetch(request);
+    }
+
+    const rangeHeader = request.headers.get('Range');
+    if (!rangeHeader) {
+        return cached;
+    }
+
+    // Blob slices are read lazily, so a chunk doesn't buffer the whole file
+    const blob = await cached.blob();
+    const match = /bytes=(\d*)-(\d*)/.exec(rangeHeader);
+    if (!match) {
+        return new Response(null, {
+            status: 416,
+            headers: { 'Content-Range': `bytes */${blob.size}` },
+        });
+    }
+
+    // "bytes=-500" asks for the last 500 bytes
+    let start = match[1] === '' ? blob.size - parseInt(match[2]) : parseInt(match[1]);
+    let end = match[1] !== '' && match[2] !== '' ? parseInt(match[2]) : blob.size - 1;
+    start = Math.max(0, start);
+    end = Math.min(end, blob.size - 1);
+
+    if (start > end) {
+        return new Response(null, {
+            status: 416,
+            headers: { 'Content-Range': `bytes */${blob.size}` },
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': 'application/pdf',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Accept-Ranges': 'bytes',
+        },
+    });
+}
+
+// A PDF re-published at the same URL replaces the cached copy. Checked once per URL
+// while this worker runs; offline (or on any network error) the cached copy is kept.
+function isCachedPdfCurrent(cache, url, cached) {
+    if (!self.navigator.onLine) return Promise.resolve(true);
+
+    if (!revalidatedPdfs.has(url)) {
+        revalidatedPdfs.set(url, fetch(url, { method: 'HEAD', cache: 'no-cache' })
+            .then(async response => {
+                if (response.ok && !isSamePdfVersion(cached.headers, response.headers)) {
+                    await cache.delete(url);
+                    return false;
+                }
+                return true;
+            })
+            .catch(() => {
+                revalidatedPdfs.delete(url);
+                return true;
+            }));
+    }
+    return revalidatedPdfs.get(url);
+}
+
+// Compares the validators app.js stored with the file; the length is the fallback when there are none
+function isSamePdfVersion(cachedHeaders, networkHeaders) {
+    for (const name of ['ETag', 'Last-Modified']) {
+        const stored = cachedHeaders.get(name);
+        const current = networkHeaders.get(name);
+        if (stored && current) return stored === current;
+    }
+    const length = networkHeaders.get('Content-Length');
+    return !length || length === cachedHeaders.get('Content-Length');
+}